@@ -0,0 +1,990 @@
+import User from '../models/User.model.js';
+import Listing from '../models/Listing.model.js';
+import Order, { DISPUTE_OUTCOMES } from '../models/Order.model.js';
+import Report from '../models/Report.model.js';
+import Review from '../models/Review.model.js';
+import AdminAuditLog from '../models/AdminAuditLog.model.js';
+import { catchAsync } from '../middleware/error.middleware.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { recordAdminAction, recordAdminActions } from '../utils/auditLog.js';
+import { revokeAccess, banAccount } from '../utils/moderation.js';
+
+// Fields admins see in user lists
+const ADMIN_USER_FIELDS =
+  'name email avatar university campus role isActive isVerified suspendedUntil suspensionReason bannedAt banReason deletionScheduledFor deletedAt createdAt lastActive';
+
+// Listing fields admins may change with PATCH /api/admin/listings/:id
+const ADMIN_EDITABLE_LISTING_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'condition',
+  'price',
+  'tags',
+  'isNegotiable',
+];
+
+// Maximum listings one bulk action may touch
+const BULK_LISTING_LIMIT = 500;
+
+// Escape user input for use in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Load the user an action targets, refusing actions on yourself and on other admins
+const findModeratableUser = async (req) => {
+  if (req.params.id === req.user._id.toString()) {
+    throw new AppError('You cannot perform this action on your own account', 400);
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user || user.deletedAt) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (user.role === 'admin') {
+    throw new AppError('Admins must be demoted before they can be suspended or banned', 400);
+  }
+
+  return user;
+};
+
+// @desc    Search users
+// @route   GET /api/admin/users
+// @access  Private (Admin)
+export const searchUsers = catchAsync(async (req, res, next) => {
+  const { q, role, status, university, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+
+  if (q) {
+    const pattern = escapeRegex(q.trim());
+    query.$or = [
+      { name: { $regex: pattern, $options: 'i' } },
+      { email: { $regex: pattern, $options: 'i' } },
+    ];
+  }
+
+  if (role) {
+    query.role = role;
+  }
+
+  if (university) {
+    query.university = university;
+  }
+
+  const now = new Date();
+  if (status === 'active') {
+    query.isActive = true;
+    query.bannedAt = { $exists: false };
+    query.$and = [
+      { $or: [{ suspendedUntil: { $exists: false } }, { suspendedUntil: { $lte: now } }] },
+    ];
+  } else if (status === 'suspended') {
+    query.suspendedUntil = { $gt: now };
+  } else if (status === 'banned') {
+    query.bannedAt = { $exists: true };
+  } else if (status === 'deactivated') {
+    query.isActive = false;
+    query.deletionScheduledFor = { $exists: false };
+  } else if (status === 'pending-deletion') {
+    query.deletionScheduledFor = { $exists: true };
+    query.deletedAt = { $exists: false };
+  }
+
+  const skip = (page - 1) * limit;
+
+  const users = await User.find(query)
+    .select(ADMIN_USER_FIELDS)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await User.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      users,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+// @desc    Get user details
+// @route   GET /api/admin/users/:id
+// @access  Private (Admin)
+export const getUserDetails = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id).select(
+    `${ADMIN_USER_FIELDS} phone bio authProvider twoFactor.enabled`
+  );
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const [listings, ordersAsBuyer, ordersAsSeller, reportsReceived, reportsFiled] =
+    await Promise.all([
+      Listing.countDocuments({ seller: user._id }),
+      Order.countDocuments({ buyer: user._id }),
+      Order.countDocuments({ seller: user._id }),
+      Report.countDocuments({ targetUser: user._id }),
+      Report.countDocuments({ reporter: user._id }),
+    ]);
+
+  await recordAdminAction(req, {
+    action: 'user.view',
+    targetType: 'user',
+    targetId: user._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      user,
+      counts: {
+        listings,
+        ordersAsBuyer,
+        ordersAsSeller,
+        reportsReceived,
+        reportsFiled,
+      },
+    },
+  });
+});
+
+// @desc    Get user's listings (any status)
+// @route   GET /api/admin/users/:id/listings
+// @access  Private (Admin)
+export const getUserListings = catchAsync(async (req, res, next) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const query = { seller: req.params.id };
+  if (status) {
+    query.status = status;
+  }
+
+  const skip = (page - 1) * limit;
+
+  const listings = await Listing.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Listing.countDocuments(query);
+
+  await recordAdminAction(req, {
+    action: 'user.view',
+    targetType: 'user',
+    targetId: req.params.id,
+    details: { section: 'listings' },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      listings,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+// @desc    Get user's orders (as buyer and seller)
+// @route   GET /api/admin/users/:id/orders
+// @access  Private (Admin)
+export const getUserOrders = catchAsync(async (req, res, next) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const query = { $or: [{ buyer: req.params.id }, { seller: req.params.id }] };
+  if (status) {
+    query.status = status;
+  }
+
+  const skip = (page - 1) * limit;
+
+  const orders = await Order.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('buyer', 'name email avatar')
+    .populate('seller', 'name email avatar')
+    .populate('listing', 'title price status');
+
+  const total = await Order.countDocuments(query);
+
+  await recordAdminAction(req, {
+    action: 'user.view',
+    targetType: 'user',
+    targetId: req.params.id,
+    details: { section: 'orders' },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      orders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+// @desc    Get reports against (or filed by) a user
+// @route   GET /api/admin/users/:id/reports
+// @access  Private (Admin)
+export const getUserReports = catchAsync(async (req, res, next) => {
+  const { type = 'received', page = 1, limit = 20 } = req.query;
+
+  let query;
+  if (type === 'received') {
+    query = { targetUser: req.params.id };
+  } else if (type === 'filed') {
+    query = { reporter: req.params.id };
+  } else {
+    return next(new AppError('Invalid type. Use "received" or "filed"', 400));
+  }
+
+  const skip = (page - 1) * limit;
+
+  const reports = await Report.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .select('-history')
+    .populate('reporter', 'name avatar')
+    .populate('targetUser', 'name avatar')
+    .populate('targetListing', 'title status');
+
+  const total = await Report.countDocuments(query);
+
+  await recordAdminAction(req, {
+    action: 'user.view',
+    targetType: 'user',
+    targetId: req.params.id,
+    details: { section: 'reports', type },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reports,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+// @desc    Suspend user for a number of hours
+// @route   PATCH /api/admin/users/:id/suspend
+// @access  Private (Admin)
+export const suspendUser = catchAsync(async (req, res, next) => {
+  const { hours, reason } = req.body;
+
+  const user = await findModeratableUser(req);
+
+  if (user.isBanned()) {
+    return next(new AppError('This user is banned. Restore the account first.', 400));
+  }
+
+  user.suspendedUntil = new Date(Date.now() + hours * 60 * 60 * 1000);
+  user.suspensionReason = reason;
+  await revokeAccess(user, req.app.get('io'));
+
+  await recordAdminAction(req, {
+    action: 'user.suspend',
+    targetType: 'user',
+    targetId: user._id,
+    details: { reason, hours, until: user.suspendedUntil },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `User suspended until ${user.suspendedUntil.toUTCString()}`,
+    data: {
+      suspendedUntil: user.suspendedUntil,
+    },
+  });
+});
+
+// @desc    Permanently ban user
+// @route   PATCH /api/admin/users/:id/ban
+// @access  Private (Admin)
+export const banUser = catchAsync(async (req, res, next) => {
+  const { reason } = req.body;
+
+  const user = await findModeratableUser(req);
+
+  if (user.isBanned()) {
+    return next(new AppError('This user is already banned', 400));
+  }
+
+  // Banned sellers' listings disappear from the marketplace
+  const listingsDeactivated = await banAccount(user, reason, req.app.get('io'));
+
+  await recordAdminAction(req, {
+    action: 'user.ban',
+    targetType: 'user',
+    targetId: user._id,
+    details: { reason, listingsDeactivated },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User banned successfully',
+  });
+});
+
+// @desc    Lift a suspension or ban
+// @route   PATCH /api/admin/users/:id/restore
+// @access  Private (Admin)
+export const restoreUser = catchAsync(async (req, res, next) => {
+  const { note } = req.body;
+
+  const user = await User.findById(req.params.id).select('+banDeactivatedListings');
+
+  if (!user || user.deletedAt) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (!user.isBanned() && !user.isSuspended()) {
+    return next(new AppError('This user is not suspended or banned', 400));
+  }
+
+  const previous = user.isBanned()
+    ? { status: 'banned', reason: user.banReason }
+    : { status: 'suspended', reason: user.suspensionReason, until: user.suspendedUntil };
+
+  // Put back the listings the ban deactivated (ones changed since, e.g. taken down, stay as they are)
+  const { modifiedCount: listingsReactivated } = await Listing.updateMany(
+    { _id: { $in: user.banDeactivatedListings || [] }, seller: user._id, status: 'inactive' },
+    { status: 'active' }
+  );
+
+  user.bannedAt = undefined;
+  user.banReason = undefined;
+  user.banDeactivatedListings = undefined;
+  user.suspendedUntil = undefined;
+  user.suspensionReason = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAdminAction(req, {
+    action: 'user.restore',
+    targetType: 'user',
+    targetId: user._id,
+    details: { previous, note, listingsReactivated },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User restored successfully',
+  });
+});
+
+// @desc    Change user role
+// @route   PATCH /api/admin/users/:id/role
+// @access  Private (Admin)
+export const changeUserRole = catchAsync(async (req, res, next) => {
+  const { role } = req.body;
+
+  // Prevents the last admin from locking everyone out
+  if (req.params.id === req.user._id.toString()) {
+    return next(new AppError('You cannot change your own role', 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user || user.deletedAt) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (user.role === role) {
+    return next(new AppError(`User is already ${role === 'admin' ? 'an admin' : 'a student'}`, 400));
+  }
+
+  if (role === 'admin' && (!user.isActive || user.isBanned() || user.isSuspended())) {
+    return next(new AppError('Only active accounts can be promoted', 400));
+  }
+
+  const previousRole = user.role;
+  user.role = role;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAdminAction(req, {
+    action: 'user.role-change',
+    targetType: 'user',
+    targetId: user._id,
+    details: { from: previousRole, to: role },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `User role changed to ${role}`,
+  });
+});
+
+// Build a listing query from admin filters (null if no filter is given)
+const buildListingFilter = (filter = {}) => {
+  const { ids, seller, status, category, q, isFeatured, createdAfter, createdBefore } = filter;
+  const query = {};
+
+  if (ids?.length) query._id = { $in: ids };
+  if (seller) query.seller = seller;
+  if (status) query.status = status;
+  if (category) query.category = category;
+  if (q) query.title = { $regex: escapeRegex(String(q).trim()), $options: 'i' };
+  if (isFeatured !== undefined) query.isFeatured = String(isFeatured) === 'true';
+  if (createdAfter || createdBefore) {
+    query.createdAt = {};
+    if (createdAfter) query.createdAt.$gte = new Date(createdAfter);
+    if (createdBefore) query.createdAt.$lte = new Date(createdBefore);
+  }
+
+  return Object.keys(query).length > 0 ? query : null;
+};
+
+// Apply a moderation action to one listing (caller saves)
+// Returns an error message if the action doesn't apply to this listing
+const moderateListing = (listing, { action, reason, until, adminId }) => {
+  switch (action) {
+    case 'takedown':
+      if (listing.status === 'removed') return 'Listing is already taken down';
+      listing.takeDown(reason, adminId);
+      return null;
+    case 'restore':
+      if (listing.status !== 'removed') return 'Listing is not taken down';
+      listing.restoreFromTakedown();
+      return null;
+    case 'feature':
+      if (listing.status !== 'active') return 'Only active listings can be featured';
+      listing.isFeatured = true;
+      listing.featuredUntil = until;
+      return null;
+    case 'unfeature':
+      if (!listing.isFeatured) return 'Listing is not featured';
+      listing.isFeatured = false;
+      listing.featuredUntil = undefined;
+      return null;
+    default:
+      return 'Invalid action';
+  }
+};
+
+// Tell the seller their listing was taken down
+const notifyTakedown = (req, listing) => {
+  const io = req.app.get('io');
+  io.to(listing.seller.toString()).emit('listing-taken-down', {
+    listingId: listing._id,
+    title: listing.title,
+    reason: listing.takedown.reason,
+  });
+};
+
+// @desc    Get listings (any status, admin filters)
+// @route   GET /api/admin/listings
+// @access  Private (Admin)
+export const getListings = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const query = buildListingFilter(req.query) || {};
+  const skip = (page - 1) * limit;
+
+  const listings = await Listing.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('seller', 'name email avatar');
+
+  const total = await Listing.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      listings,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+// @desc    Edit a listing with a reason
+// @route   PATCH /api/admin/listings/:id
+// @access  Private (Admin)
+export const editListing = catchAsync(async (req, res, next) => {
+  const { reason } = req.body;
+
+  const listing = await Listing.findById(req.params.id);
+
+  if (!listing) {
+    return next(new AppError('Listing not found', 404));
+  }
+
+  const before = {};
+  const after = {};
+  ADMIN_EDITABLE_LISTING_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      before[field] = listing[field];
+      after[field] = req.body[field];
+      listing[field] = req.body[field];
+    }
+  });
+
+  if (Object.keys(after).length === 0) {
+    return next(new AppError('No editable fields provided', 400));
+  }
+
+  await listing.save();
+
+  await recordAdminAction(req, {
+    action: 'listing.edit',
+    targetType: 'listing',
+    targetId: listing._id,
+    details: { reason, before, after },
+  });
+
+  const io = req.app.get('io');
+  io.to(listing.seller.toString()).emit('listing-edited', {
+    listingId: listing._id,
+    title: listing.title,
+    fields: Object.keys(after),
+    reason,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Listing updated successfully',
+    data: {
+      listing,
+    },
+  });
+});
+
+// @desc    Take a listing down
+// @route   PATCH /api/admin/listings/:id/takedown
+// @access  Private (Admin)
+export const takeDownListing = catchAsync(async (req, res, next) => {
+  const { reason } = req.body;
+
+  const listing = await Listing.findById(req.params.id);
+
+  if (!listing) {
+    return next(new AppError('Listing not found', 404));
+  }
+
+  const error = moderateListing(listing, { action: 'takedown', reason, adminId: req.user._id });
+  if (error) {
+    return next(new AppError(error, 400));
+  }
+  await listing.save();
+
+  await recordAdminAction(req, {
+    action: 'listing.takedown',
+    targetType: 'listing',
+    targetId: listing._id,
+    details: { reason, previousStatus: listing.takedown.previousStatus },
+  });
+
+  notifyTakedown(req, listing);
+
+  res.status(200).json({
+    success: true,
+    message: 'Listing taken down successfully',
+    data: {
+      listing,
+    },
+  });
+});
+
+// @desc    Restore a taken down listing
+// @route   PATCH /api/admin/listings/:id/restore
+// @access  Private (Admin)
+export const restoreListing = catchAsync(async (req, res, next) => {
+  const { note } = req.body;
+
+  const listing = await Listing.findById(req.params.id);
+
+  if (!listing) {
+    return next(new AppError('Listing not found', 404));
+  }
+
+  const takedownReason = listing.takedown?.reason;
+  const error = moderateListing(listing, { action: 'restore' });
+  if (error) {
+    return next(new AppError(error, 400));
+  }
+  await listing.save();
+
+  await recordAdminAction(req, {
+    action: 'listing.restore',
+    targetType: 'listing',
+    targetId: listing._id,
+    details: { note, takedownReason, status: listing.status },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Listing restored successfully',
+    data: {
+      listing,
+    },
+  });
+});
+
+// @desc    Feature or unfeature a listing
+// @route   PATCH /api/admin/listings/:id/feature
+// @access  Private (Admin)
+export const featureListing = catchAsync(async (req, res, next) => {
+  const { featured, until } = req.body;
+  const action = featured ? 'feature' : 'unfeature';
+
+  const listing = await Listing.findById(req.params.id);
+
+  if (!listing) {
+    return next(new AppError('Listing not found', 404));
+  }
+
+  const error = moderateListing(listing, { action, until });
+  if (error) {
+    return next(new AppError(error, 400));
+  }
+  await listing.save();
+
+  await recordAdminAction(req, {
+    action: `listing.${action}`,
+    targetType: 'listing',
+    targetId: listing._id,
+    details: featured ? { until: listing.featuredUntil } : undefined,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: featured ? 'Listing featured successfully' : 'Listing unfeatured successfully',
+    data: {
+      listing,
+    },
+  });
+});
+
+// @desc    Apply a moderation action to every listing matching a filter
+// @route   POST /api/admin/listings/bulk
+// @access  Private (Admin)
+export const bulkListingAction = catchAsync(async (req, res, next) => {
+  const { action, filter, reason, until } = req.body;
+
+  const query = buildListingFilter(filter);
+  if (!query) {
+    return next(new AppError('Provide at least one filter for bulk actions', 400));
+  }
+
+  const total = await Listing.countDocuments(query);
+  if (total > BULK_LISTING_LIMIT) {
+    return next(
+      new AppError(
+        `Filter matches ${total} listings. Bulk actions are limited to ${BULK_LISTING_LIMIT}, please narrow the filter.`,
+        400
+      )
+    );
+  }
+
+  const listings = await Listing.find(query);
+  const updated = [];
+  const skipped = [];
+
+  for (const listing of listings) {
+    const error = moderateListing(listing, { action, reason, until, adminId: req.user._id });
+    if (error) {
+      skipped.push({ id: listing._id, reason: error });
+      continue;
+    }
+    await listing.save();
+    updated.push(listing);
+  }
+
+  if (updated.length > 0) {
+    await recordAdminActions(req, {
+      action: `listing.${action}`,
+      targetType: 'listing',
+      targetIds: updated.map((listing) => listing._id),
+      details: { bulk: true, filter, reason, until },
+    });
+  }
+
+  if (action === 'takedown') {
+    updated.forEach((listing) => notifyTakedown(req, listing));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${updated.length} listing${updated.length === 1 ? '' : 's'} updated`,
+    data: {
+      matched: listings.length,
+      updated: updated.length,
+      skipped,
+    },
+  });
+});
+
+// Load a disputed order, refusing admins who are a party to it
+const findDisputedOrder = async (req) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order || !order.dispute?.status) {
+    throw new AppError('Dispute not found', 404);
+  }
+
+  if (order.getPartyRole(req.user._id)) {
+    throw new AppError('You cannot handle a dispute on your own order', 403);
+  }
+
+  return order;
+};
+
+// Tell both parties their dispute changed
+const notifyDisputeParties = (req, order, event) => {
+  const io = req.app.get('io');
+  [order.buyer, order.seller].forEach((userId) => {
+    io.to(userId.toString()).emit('dispute-update', {
+      orderId: order._id,
+      event,
+      disputeStatus: order.dispute.status,
+      outcome: order.dispute.outcome,
+      orderStatus: order.status,
+    });
+  });
+};
+
+// @desc    Get dispute queue
+// @route   GET /api/admin/disputes
+// @access  Private (Admin)
+export const getDisputes = catchAsync(async (req, res, next) => {
+  const { status, assignedTo, page = 1, limit = 20 } = req.query;
+
+  // Unresolved disputes by default, oldest first
+  const query = { 'dispute.status': status || { $in: ['open', 'in-review'] } };
+  if (assignedTo) {
+    query['dispute.assignedTo'] = assignedTo === 'me' ? req.user._id : assignedTo;
+  }
+
+  const skip = (page - 1) * limit;
+
+  const orders = await Order.find(query)
+    .sort({ 'dispute.timestamp': 1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('buyer', 'name email avatar')
+    .populate('seller', 'name email avatar')
+    .populate('listing', 'title price images status')
+    .populate('dispute.assignedTo', 'name email');
+
+  const total = await Order.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      orders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+// @desc    Start reviewing a dispute (assigns it to the caller)
+// @route   PATCH /api/admin/disputes/:id/review
+// @access  Private (Admin)
+export const reviewDispute = catchAsync(async (req, res, next) => {
+  const order = await findDisputedOrder(req);
+
+  if (order.dispute.status !== 'open') {
+    return next(new AppError(`Dispute is already ${order.dispute.status}`, 400));
+  }
+
+  await order.startDisputeReview(req.user._id);
+
+  await recordAdminAction(req, {
+    action: 'dispute.review',
+    targetType: 'order',
+    targetId: order._id,
+  });
+
+  notifyDisputeParties(req, order, 'in-review');
+
+  res.status(200).json({
+    success: true,
+    message: 'Dispute is now under review',
+    data: {
+      order,
+    },
+  });
+});
+
+// @desc    Resolve a dispute with an outcome
+// @route   PATCH /api/admin/disputes/:id/resolve
+// @access  Private (Admin)
+export const resolveDispute = catchAsync(async (req, res, next) => {
+  const { outcome, resolution } = req.body;
+
+  const order = await findDisputedOrder(req);
+
+  if (order.dispute.status === 'resolved') {
+    return next(new AppError('Dispute has already been resolved', 400));
+  }
+
+  await order.resolveDispute(req.user._id, outcome, resolution);
+
+  // Taken down listings stay down whatever the outcome
+  await Listing.updateOne(
+    { _id: order.listing, status: { $ne: 'removed' } },
+    { status: DISPUTE_OUTCOMES[outcome].listingStatus }
+  );
+
+  await recordAdminAction(req, {
+    action: 'dispute.resolve',
+    targetType: 'order',
+    targetId: order._id,
+    details: { outcome, resolution, orderStatus: order.status },
+  });
+
+  notifyDisputeParties(req, order, 'resolved');
+
+  res.status(200).json({
+    success: true,
+    message: 'Dispute resolved successfully',
+    data: {
+      order,
+    },
+  });
+});
+
+// @desc    Hide or republish a review
+// @route   PATCH /api/admin/reviews/:id
+// @access  Private (Admin)
+export const moderateReview = catchAsync(async (req, res, next) => {
+  const { status, note } = req.body;
+
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    return next(new AppError('Review not found', 404));
+  }
+
+  // Blind reviews are moderated once the order's ratings are published
+  if (review.status === 'pending') {
+    return next(new AppError('Review has not been published yet', 400));
+  }
+
+  if (review.status === status) {
+    return next(new AppError(`Review is already ${status}`, 400));
+  }
+
+  const previousStatus = review.status;
+  review.status = status;
+  review.moderation = { note, moderatedBy: req.user._id, moderatedAt: new Date() };
+  await review.save();
+
+  // Hidden reviews don't count toward the reviewee's reputation
+  await User.applyRating(
+    review.reviewee,
+    review.getRevieweeRole(),
+    review.score,
+    review.createdAt,
+    status === 'hidden' ? -1 : 1
+  );
+
+  await recordAdminAction(req, {
+    action: 'review.moderate',
+    targetType: 'review',
+    targetId: review._id,
+    details: { previousStatus, status, note },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Review ${status === 'hidden' ? 'hidden' : 'published'} successfully`,
+    data: {
+      review,
+    },
+  });
+});
+
+// @desc    Get admin audit log
+// @route   GET /api/admin/audit-logs
+// @access  Private (Admin)
+export const getAuditLogs = catchAsync(async (req, res, next) => {
+  const { admin, action, targetId, page = 1, limit = 50 } = req.query;
+
+  const query = {};
+  if (admin) query.admin = admin;
+  if (action) query.action = action;
+  if (targetId) query.targetId = targetId;
+
+  const skip = (page - 1) * limit;
+
+  const logs = await AdminAuditLog.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('admin', 'name email');
+
+  const total = await AdminAuditLog.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      logs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+export default {
+  searchUsers,
+  getUserDetails,
+  getUserListings,
+  getUserOrders,
+  getUserReports,
+  suspendUser,
+  banUser,
+  restoreUser,
+  changeUserRole,
+  getListings,
+  editListing,
+  takeDownListing,
+  restoreListing,
+  featureListing,
+  bulkListingAction,
+  getDisputes,
+  reviewDispute,
+  resolveDispute,
+  moderateReview,
+  getAuditLogs,
+};
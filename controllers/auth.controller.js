@@ -1,36 +1,80 @@
+import crypto from 'crypto';
 import User from '../models/User.model.js';
+import University from '../models/University.model.js';
+import Session, { SESSION_TTL_MS } from '../models/Session.model.js';
+import LoginEvent from '../models/LoginEvent.model.js';
 import { catchAsync } from '../middleware/error.middleware.js';
 import { AppError } from '../middleware/error.middleware.js';
 import {
   generateAccessToken,
   generateRefreshToken,
   verifyRefreshToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  isTokenVersionCurrent,
 } from '../middleware/auth.middleware.js';
+import {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendNewLoginAlertEmail,
+  sendAccountDeletionScheduledEmail,
+} from '../utils/email.js';
+import passport, { isGoogleAuthConfigured } from '../utils/passport.js';
+import { generateSecret, buildOtpauthUrl } from '../utils/totp.js';
+import { disconnectUserSockets } from '../utils/socket.js';
+
+// Minimum time between verification emails for one account
+const VERIFICATION_EMAIL_COOLDOWN_MS = 60 * 1000; // 1 minute
+
+// Grace period before a deleted account is anonymized
+const ACCOUNT_DELETION_GRACE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const DELETION_CANCELLED_NOTICE = 'Your scheduled account deletion has been cancelled.';
 
 // Cookie options
 const getCookieOptions = () => ({
   httpOnly: true,
   secure: process.env.NODE_ENV === 'production',
   sameSite: 'strict',
-  maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+  maxAge: SESSION_TTL_MS,
 });
 
-// Send token response
-const sendTokenResponse = async (user, statusCode, res, message = 'Success') => {
-  // Generate tokens
-  const accessToken = generateAccessToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+// Clear refresh token cookie
+const clearRefreshCookie = (res) => {
+  res.cookie('refreshToken', '', {
+    httpOnly: true,
+    expires: new Date(0),
+  });
+};
 
-  // Save refresh token to user
-  user.refreshToken = refreshToken;
-  await user.save({ validateBeforeSave: false });
+// Send token response (starts a new session for this device)
+const sendTokenResponse = async (user, statusCode, req, res, message = 'Success') => {
+  // Start session
+  const { session, tokenId } = await Session.start({
+    user: user._id,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    deviceLabel: req.body?.deviceLabel,
+  });
+
+  // Generate tokens
+  const accessToken = generateAccessToken(user._id, session._id, user.tokenVersion);
+  const refreshToken = generateRefreshToken(user._id, session._id, tokenId);
 
   // Set refresh token in cookie
   res.cookie('refreshToken', refreshToken, getCookieOptions());
 
   // Remove sensitive data
   user.password = undefined;
-  user.refreshToken = undefined;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationSentAt = undefined;
+  if (user.twoFactor) {
+    user.twoFactor.secret = undefined;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+  }
 
   res.status(statusCode).json({
     success: true,
@@ -42,6 +86,77 @@ const sendTokenResponse = async (user, statusCode, res, message = 'Success') =>
   });
 };
 
+// Send 2FA challenge instead of tokens (password step passed, code still required)
+const sendTwoFactorChallenge = async (user, res) => {
+  const tokenId = await user.createTwoFactorChallenge();
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication code required',
+    data: {
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallengeToken(user._id, tokenId, user.tokenVersion),
+    },
+  });
+};
+
+// Record a login attempt - failures here never block the login itself
+const recordLoginEvent = async (req, { user, email, method = 'password', success, failureReason }) => {
+  try {
+    const ip = req.ip;
+    const userAgent = req.get('user-agent');
+
+    const suspicious =
+      success && user ? await LoginEvent.isUnfamiliar(user._id, { ip, userAgent }) : false;
+
+    const event = await LoginEvent.create({
+      user: user?._id,
+      email: email || user?.email,
+      ip,
+      userAgent,
+      method,
+      success,
+      failureReason,
+      suspicious,
+    });
+
+    if (suspicious) {
+      sendNewLoginAlertEmail(user, { ip, userAgent, time: event.createdAt }).catch((err) =>
+        console.error('Error sending new login alert:', err)
+      );
+    }
+  } catch (error) {
+    console.error('Error recording login event:', error);
+  }
+};
+
+// Error for a locked account
+const accountLockedError = (lockUntil) => {
+  const minutes = Math.ceil((lockUntil.getTime() - Date.now()) / 60000);
+  return new AppError(
+    `Too many failed login attempts. Account locked, try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    423
+  );
+};
+
+// Logging in during the grace period cancels a scheduled deletion (caller saves)
+// Returns true if a deletion was cancelled
+const cancelScheduledDeletion = (user) => {
+  if (!user.isPendingDeletion()) return false;
+
+  user.cancelDeletion();
+  return true;
+};
+
+// Issue a fresh verification token (invalidating older ones) and email it
+const issueVerificationEmail = async (user) => {
+  const tokenId = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const token = generateEmailVerificationToken(user._id, tokenId);
+  await sendVerificationEmail(user, token);
+};
+
 // @desc    Register new user
 // @route   POST /api/auth/register
 // @access  Public
@@ -54,18 +169,31 @@ export const register = catchAsync(async (req, res, next) => {
     return next(new AppError('User with this email already exists', 400));
   }
 
+  // Email must belong to a registered university; normalize university/campus to registry names
+  const institution = await University.resolveForEmail(email, { university, campus });
+  if (institution.error) {
+    return next(new AppError(institution.error, 400));
+  }
+
   // Create user
   const user = await User.create({
     name,
     email,
     password,
-    university,
-    campus,
+    university: institution.university,
+    campus: institution.campus,
     authProvider: 'local',
   });
 
+  // Send verification email (registration still succeeds if mail fails - user can resend)
+  try {
+    await issueVerificationEmail(user);
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+  }
+
   // Send token response
-  await sendTokenResponse(user, 201, res, 'Registration successful');
+  await sendTokenResponse(user, 201, req, res, 'Registration successful');
 });
 
 // @desc    Login user
@@ -75,47 +203,244 @@ export const login = catchAsync(async (req, res, next) => {
   const { email, password } = req.body;
 
   // Check if user exists and get password
-  const user = await User.findOne({ email }).select('+password');
+  const user = await User.findOne({ email }).select('+password +lockUntil');
 
   if (!user) {
+    await recordLoginEvent(req, { email, success: false, failureReason: 'unknown-user' });
     return next(new AppError('Invalid email or password', 401));
   }
 
-  // Check if account is active
-  if (!user.isActive) {
+  // Don't check passwords while locked
+  if (user.isLocked()) {
+    await recordLoginEvent(req, { user, success: false, failureReason: 'account-locked' });
+    return next(accountLockedError(user.lockUntil));
+  }
+
+  // Suspended or banned by an admin
+  const restriction = user.getAccessRestriction();
+  if (restriction) {
+    await recordLoginEvent(req, { user, success: false, failureReason: 'account-restricted' });
+    return next(new AppError(restriction, 403));
+  }
+
+  // Check if account is active (accounts pending deletion can log in to cancel it)
+  if (!user.isActive && !user.isPendingDeletion()) {
+    await recordLoginEvent(req, { user, success: false, failureReason: 'account-deactivated' });
     return next(
       new AppError('Your account has been deactivated. Please contact support.', 403)
     );
   }
 
+  // Google-only accounts have no password
+  if (!user.password) {
+    return next(
+      new AppError('This account uses Google sign-in. Please continue with Google.', 401)
+    );
+  }
+
   // Check if password matches
   const isPasswordCorrect = await user.comparePassword(password);
 
   if (!isPasswordCorrect) {
+    const lockUntil = await user.registerFailedLogin();
+    await recordLoginEvent(req, { user, success: false, failureReason: 'invalid-password' });
+
+    if (lockUntil) {
+      return next(accountLockedError(lockUntil));
+    }
     return next(new AppError('Invalid email or password', 401));
   }
 
+  // Second step required before tokens are issued
+  if (user.twoFactor?.enabled) {
+    return sendTwoFactorChallenge(user, res);
+  }
+
+  await user.resetLoginAttempts();
+  await recordLoginEvent(req, { user, success: true });
+
+  const deletionCancelled = cancelScheduledDeletion(user);
+
   // Update last active
   await user.updateLastActive();
 
   // Send token response
-  await sendTokenResponse(user, 200, res, 'Login successful');
+  const message = deletionCancelled
+    ? `Login successful. ${DELETION_CANCELLED_NOTICE}`
+    : 'Login successful';
+  await sendTokenResponse(user, 200, req, res, message);
 });
 
+// @desc    Complete login with 2FA code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+export const verifyTwoFactorLogin = catchAsync(async (req, res, next) => {
+  const { challengeToken, code } = req.body;
+
+  const decoded = verifyTwoFactorChallengeToken(challengeToken);
+
+  if (!decoded) {
+    return next(new AppError('Login challenge is invalid or has expired. Please log in again.', 401));
+  }
+
+  const user = await User.findById(decoded.id).select(
+    '+lockUntil +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep ' +
+      '+twoFactor.challengeId'
+  );
+
+  // Challenges are single use, and a password change (or other token revocation) voids them
+  if (
+    !user ||
+    !user.twoFactor?.enabled ||
+    !isTokenVersionCurrent(decoded, user) ||
+    !user.isTwoFactorChallengeValid(decoded.jti)
+  ) {
+    return next(new AppError('Login challenge is invalid or has expired. Please log in again.', 401));
+  }
+
+  if (user.isLocked()) {
+    await recordLoginEvent(req, { user, method: '2fa', success: false, failureReason: 'account-locked' });
+    return next(accountLockedError(user.lockUntil));
+  }
+
+  const restriction = user.getAccessRestriction();
+  if (restriction) {
+    return next(new AppError(restriction, 403));
+  }
+
+  if (!user.isActive && !user.isPendingDeletion()) {
+    return next(
+      new AppError('Your account has been deactivated. Please contact support.', 403)
+    );
+  }
+
+  const method = user.verifyTwoFactorCode(code);
+
+  if (!method) {
+    // Wrong codes count towards the same lockout as wrong passwords
+    const lockUntil = await user.registerFailedLogin();
+    await recordLoginEvent(req, { user, method: '2fa', success: false, failureReason: 'invalid-2fa-code' });
+
+    if (lockUntil) {
+      return next(accountLockedError(lockUntil));
+    }
+    return next(new AppError('Invalid verification code', 401));
+  }
+
+  // Each challenge completes one login only
+  if (!(await user.consumeTwoFactorChallenge(decoded.jti))) {
+    return next(new AppError('Login challenge is invalid or has expired. Please log in again.', 401));
+  }
+
+  const deletionCancelled = cancelScheduledDeletion(user);
+
+  // Persist consumed recovery code / last used step, update last active
+  user.lastActive = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  await user.resetLoginAttempts();
+  await recordLoginEvent(req, { user, method: '2fa', success: true });
+
+  let message =
+    method === 'recovery'
+      ? `Login successful. ${user.twoFactor.recoveryCodes.length} recovery codes remaining.`
+      : 'Login successful';
+  if (deletionCancelled) {
+    message += `${method === 'recovery' ? '' : '.'} ${DELETION_CANCELLED_NOTICE}`;
+  }
+
+  // Send token response
+  await sendTokenResponse(user, 200, req, res, message);
+});
+
+// @desc    Start Google sign-in
+// @route   GET /api/auth/google
+// @access  Public
+export const googleAuth = (req, res, next) => {
+  if (!isGoogleAuthConfigured()) {
+    return next(new AppError('Google sign-in is not configured', 503));
+  }
+
+  // CSRF protection: random state echoed back by Google and checked against this cookie
+  const state = crypto.randomBytes(16).toString('hex');
+  res.cookie('oauthState', state, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax', // Must survive the top-level redirect back from Google
+    maxAge: 10 * 60 * 1000, // 10 minutes
+  });
+
+  passport.authenticate('google', {
+    scope: ['profile', 'email'],
+    session: false,
+    state,
+  })(req, res, next);
+};
+
+// @desc    Google sign-in callback
+// @route   GET /api/auth/google/callback
+// @access  Public
+export const googleCallback = (req, res, next) => {
+  if (!isGoogleAuthConfigured()) {
+    return next(new AppError('Google sign-in is not configured', 503));
+  }
+
+  const expectedState = req.cookies?.oauthState;
+  res.clearCookie('oauthState');
+
+  if (!expectedState || req.query.state !== expectedState) {
+    return next(new AppError('Invalid OAuth state. Please try signing in again.', 400));
+  }
+
+  passport.authenticate('google', { session: false }, async (err, user, info) => {
+    try {
+      if (err) {
+        return next(err);
+      }
+
+      if (!user) {
+        return next(new AppError(info?.message || 'Google sign-in failed', 401));
+      }
+
+      // Second step required before tokens are issued
+      if (user.twoFactor?.enabled) {
+        await sendTwoFactorChallenge(user, res);
+        return;
+      }
+
+      await recordLoginEvent(req, { user, method: 'google', success: true });
+
+      const deletionCancelled = cancelScheduledDeletion(user);
+
+      // Update last active
+      await user.updateLastActive();
+
+      // Send token response
+      const message = deletionCancelled
+        ? `Google login successful. ${DELETION_CANCELLED_NOTICE}`
+        : 'Google login successful';
+      await sendTokenResponse(user, 200, req, res, message);
+    } catch (error) {
+      next(error);
+    }
+  })(req, res, next);
+};
+
 // @desc    Logout user
 // @route   POST /api/auth/logout
 // @access  Private
 export const logout = catchAsync(async (req, res, next) => {
-  // Clear refresh token from database
-  await User.findByIdAndUpdate(req.user._id, {
-    refreshToken: null,
-  });
+  // Revoke the session this access token belongs to
+  if (req.sessionId) {
+    const session = await Session.findOne({ _id: req.sessionId, user: req.user._id });
+    if (session?.isActive()) {
+      await session.revoke('logout');
+    }
+    await disconnectUserSockets(req.app.get('io'), req.user._id, { sessionId: req.sessionId });
+  }
 
   // Clear cookie
-  res.cookie('refreshToken', '', {
-    httpOnly: true,
-    expires: new Date(0),
-  });
+  clearRefreshCookie(res);
 
   res.status(200).json({
     success: true,
@@ -123,12 +448,13 @@ export const logout = catchAsync(async (req, res, next) => {
   });
 });
 
-// @desc    Refresh access token
+// @desc    Refresh access token (rotates the refresh token)
 // @route   POST /api/auth/refresh
 // @access  Public
 export const refreshAccessToken = catchAsync(async (req, res, next) => {
   // Get refresh token from cookie or body
-  const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+  const fromBody = !req.cookies.refreshToken && Boolean(req.body?.refreshToken);
+  const refreshToken = req.cookies.refreshToken || req.body?.refreshToken;
 
   if (!refreshToken) {
     return next(new AppError('Refresh token not found', 401));
@@ -137,34 +463,158 @@ export const refreshAccessToken = catchAsync(async (req, res, next) => {
   // Verify refresh token
   const decoded = verifyRefreshToken(refreshToken);
 
-  if (!decoded) {
+  if (!decoded || !decoded.sid) {
     return next(new AppError('Invalid or expired refresh token', 401));
   }
 
-  // Get user and check refresh token matches
-  const user = await User.findById(decoded.id).select('+refreshToken');
+  // Get session
+  const session = await Session.findById(decoded.sid).select('+refreshTokenHash');
 
-  if (!user || user.refreshToken !== refreshToken) {
-    return next(new AppError('Invalid refresh token', 401));
+  if (!session || session.user.toString() !== decoded.id || !session.isActive()) {
+    clearRefreshCookie(res);
+    return next(new AppError('Session has expired or been revoked. Please log in again.', 401));
+  }
+
+  // An older token of this session being replayed means it leaked - revoke the whole session
+  if (!session.matchesToken(decoded.jti)) {
+    await session.revoke('reuse-detected');
+    clearRefreshCookie(res);
+    return next(new AppError('Refresh token reuse detected. Please log in again.', 401));
   }
 
   // Check if account is active
+  const user = await User.findById(decoded.id);
+
+  if (!user) {
+    return next(new AppError('Invalid refresh token', 401));
+  }
+
   if (!user.isActive) {
     return next(new AppError('Account is deactivated', 403));
   }
 
-  // Generate new access token
-  const accessToken = generateAccessToken(user._id);
+  // Rotate refresh token
+  const tokenId = await session.rotate({
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+  });
 
-  // Remove sensitive data
-  user.password = undefined;
-  user.refreshToken = undefined;
+  if (!tokenId) {
+    // Another request rotated this token first - treat as reuse
+    await session.revoke('reuse-detected');
+    clearRefreshCookie(res);
+    return next(new AppError('Refresh token reuse detected. Please log in again.', 401));
+  }
+
+  const newRefreshToken = generateRefreshToken(user._id, session._id, tokenId);
+  const accessToken = generateAccessToken(user._id, session._id, user.tokenVersion);
+
+  res.cookie('refreshToken', newRefreshToken, getCookieOptions());
 
   res.status(200).json({
     success: true,
     message: 'Token refreshed successfully',
     data: {
       accessToken,
+      // Clients that don't use cookies need the rotated token
+      ...(fromBody && { refreshToken: newRefreshToken }),
+    },
+  });
+});
+
+// @desc    Get active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = catchAsync(async (req, res, next) => {
+  const sessions = await Session.findActiveForUser(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        deviceLabel: session.deviceLabel,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.toString() === req.sessionId,
+      })),
+    },
+  });
+});
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeSession = catchAsync(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!session || !session.isActive()) {
+    return next(new AppError('Session not found', 404));
+  }
+
+  await session.revoke('user-revoked');
+  await disconnectUserSockets(req.app.get('io'), req.user._id, { sessionId: session._id });
+
+  if (session._id.toString() === req.sessionId) {
+    clearRefreshCookie(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked successfully',
+  });
+});
+
+// @desc    Revoke all other sessions
+// @route   DELETE /api/auth/sessions
+// @access  Private
+export const revokeOtherSessions = catchAsync(async (req, res, next) => {
+  const result = await Session.revokeAllForUser(req.user._id, 'user-revoked', {
+    except: req.sessionId,
+  });
+  await disconnectUserSockets(req.app.get('io'), req.user._id, { except: req.sessionId });
+
+  res.status(200).json({
+    success: true,
+    message: 'Other sessions revoked successfully',
+    data: {
+      revoked: result.modifiedCount,
+    },
+  });
+});
+
+// @desc    Get login history
+// @route   GET /api/auth/login-history
+// @access  Private
+export const getLoginHistory = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  // Pagination
+  const skip = (page - 1) * limit;
+
+  const events = await LoginEvent.find({ user: req.user._id })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .select('ip userAgent method success failureReason suspicious createdAt');
+
+  const total = await LoginEvent.countDocuments({ user: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      events,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
     },
   });
 });
@@ -217,26 +667,208 @@ export const updatePassword = catchAsync(async (req, res, next) => {
     return next(new AppError('Current password is incorrect', 401));
   }
 
-  // Update password
+  // Update password and invalidate outstanding access tokens
   user.password = newPassword;
+  user.invalidateTokens();
   await user.save();
 
+  // Log out every device, then start a fresh session for this one
+  await Session.revokeAllForUser(user._id, 'password-changed');
+  await disconnectUserSockets(req.app.get('io'), user._id);
+
   // Send new token response
-  await sendTokenResponse(user, 200, res, 'Password updated successfully');
+  await sendTokenResponse(user, 200, req, res, 'Password updated successfully');
+});
+
+// @desc    Start 2FA enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactor?.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  // New secret on every setup call - only confirmed secrets are used for login
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUrl: buildOtpauthUrl({ secret, accountName: user.email }),
+    },
+  });
+});
+
+// @desc    Confirm 2FA enrollment with a first code
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+export const confirmTwoFactor = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+  if (user.twoFactor?.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    return next(new AppError('Start two-factor setup first', 400));
+  }
+
+  // Check the code against the pending secret
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  if (!user.verifyTwoFactorCode(code)) {
+    return next(new AppError('Invalid verification code', 400));
+  }
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = Date.now();
+  user.twoFactor.pendingSecret = undefined;
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message:
+      'Two-factor authentication enabled. Store these recovery codes somewhere safe - they will not be shown again.',
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = catchAsync(async (req, res, next) => {
+  const { code, password } = req.body;
+
+  const user = await User.findById(req.user._id).select(
+    '+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep'
+  );
+
+  if (!user.twoFactor?.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  // Verify password if local auth
+  if (user.authProvider === 'local') {
+    if (!password) {
+      return next(new AppError('Please provide your password', 400));
+    }
+
+    const isPasswordCorrect = await user.comparePassword(password);
+
+    if (!isPasswordCorrect) {
+      return next(new AppError('Incorrect password', 401));
+    }
+  }
+
+  if (!user.verifyTwoFactorCode(code)) {
+    return next(new AppError('Invalid verification code', 401));
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled',
+  });
 });
 
-// @desc    Verify email (placeholder for email verification flow)
+// @desc    Regenerate 2FA recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select(
+    '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep'
+  );
+
+  if (!user.twoFactor?.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (!user.verifyTwoFactorCode(code)) {
+    return next(new AppError('Invalid verification code', 401));
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'New recovery codes generated. Previous codes no longer work.',
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+// @desc    Verify email
 // @route   GET /api/auth/verify/:token
 // @access  Public
 export const verifyEmail = catchAsync(async (req, res, next) => {
-  // This is a placeholder - implement full email verification logic
   const { token } = req.params;
 
-  // Verify token and update user
-  // For now, just return success
+  // Verify signature, expiry and purpose
+  const decoded = verifyEmailVerificationToken(token);
+
+  if (!decoded) {
+    return next(new AppError('Invalid or expired verification token', 400));
+  }
+
+  // Token must match the latest one issued (single use)
+  const user = await User.findById(decoded.id).select('+emailVerificationToken');
+
+  if (!user || !user.isEmailVerificationTokenValid(decoded.jti)) {
+    return next(new AppError('Invalid or expired verification token', 400));
+  }
+
+  user.isVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationSentAt = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully',
+  });
+});
+
+// @desc    Resend verification email
+// @route   POST /api/auth/verify/resend
+// @access  Private
+export const resendVerificationEmail = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+emailVerificationSentAt');
+
+  if (user.isVerified) {
+    return next(new AppError('Email is already verified', 400));
+  }
+
+  // Per-account cooldown on top of the route rate limiter
+  if (
+    user.emailVerificationSentAt &&
+    Date.now() - user.emailVerificationSentAt.getTime() < VERIFICATION_EMAIL_COOLDOWN_MS
+  ) {
+    return next(
+      new AppError('Please wait a minute before requesting another verification email', 429)
+    );
+  }
+
+  await issueVerificationEmail(user);
+
   res.status(200).json({
     success: true,
-    message: 'Email verification feature - implement with email service',
+    message: 'Verification email sent',
   });
 });
 
@@ -246,22 +878,34 @@ export const verifyEmail = catchAsync(async (req, res, next) => {
 export const forgotPassword = catchAsync(async (req, res, next) => {
   const { email } = req.body;
 
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists, a password reset email has been sent',
+  };
+
   const user = await User.findOne({ email });
 
-  if (!user) {
-    // Don't reveal if user exists
-    return res.status(200).json({
-      success: true,
-      message: 'If an account exists, a password reset email has been sent',
-    });
+  // Don't reveal if user exists (OAuth accounts have no password to reset)
+  if (!user || !user.isActive || user.authProvider !== 'local') {
+    return res.status(200).json(genericResponse);
   }
 
-  // Generate reset token (implement with email service)
-  // For now, just return success
-  res.status(200).json({
-    success: true,
-    message: 'Password reset feature - implement with email service',
-  });
+  // Generate reset token (replaces any previous one)
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendPasswordResetEmail(user, resetToken);
+  } catch (error) {
+    // Don't leave a usable token behind if the email never went out, and answer
+    // as for unknown emails so the status code doesn't reveal the account exists
+    console.error(`Password reset email to user ${user._id} failed:`, error);
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+  }
+
+  res.status(200).json(genericResponse);
 });
 
 // @desc    Reset password
@@ -271,11 +915,33 @@ export const resetPassword = catchAsync(async (req, res, next) => {
   const { token } = req.params;
   const { password } = req.body;
 
-  // Verify token and update password (implement with email service)
-  // For now, just return success
+  // Find user by hashed token (must not be expired)
+  const user = await User.findByPasswordResetToken(token);
+
+  if (!user) {
+    return next(new AppError('Password reset token is invalid or has expired', 400));
+  }
+
+  // Set new password (hashed by pre-save hook) and invalidate token
+  user.password = password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+
+  // Invalidate outstanding access tokens
+  user.invalidateTokens();
+
+  await user.save();
+
+  // Revoke existing sessions
+  await Session.revokeAllForUser(user._id, 'password-changed');
+  await disconnectUserSockets(req.app.get('io'), user._id);
+
+  // Clear cookie
+  clearRefreshCookie(res);
+
   res.status(200).json({
     success: true,
-    message: 'Password reset feature - implement with email service',
+    message: 'Password reset successful. Please log in with your new password.',
   });
 });
 
@@ -283,7 +949,11 @@ export const resetPassword = catchAsync(async (req, res, next) => {
 // @route   DELETE /api/auth/account
 // @access  Private
 export const deleteAccount = catchAsync(async (req, res, next) => {
-  const { password } = req.body;
+  const { password, mode = 'deactivate' } = req.body;
+
+  if (!['deactivate', 'delete'].includes(mode)) {
+    return next(new AppError("Mode must be either 'deactivate' or 'delete'", 400));
+  }
 
   // Get user with password
   const user = await User.findById(req.user._id).select('+password');
@@ -301,31 +971,63 @@ export const deleteAccount = catchAsync(async (req, res, next) => {
     }
   }
 
-  // Deactivate account instead of deleting
-  user.isActive = false;
-  user.refreshToken = null;
+  if (mode === 'delete') {
+    // Anonymized by the account deletion job once the grace period ends
+    user.scheduleDeletion(ACCOUNT_DELETION_GRACE_MS);
+  } else {
+    // Deactivate account, keeping its data
+    user.isActive = false;
+    user.invalidateTokens();
+  }
   await user.save({ validateBeforeSave: false });
 
+  // Revoke all sessions
+  await Session.revokeAllForUser(user._id, 'account-deleted');
+  await disconnectUserSockets(req.app.get('io'), user._id);
+
   // Clear cookie
-  res.cookie('refreshToken', '', {
-    httpOnly: true,
-    expires: new Date(0),
-  });
+  clearRefreshCookie(res);
+
+  if (mode === 'deactivate') {
+    return res.status(200).json({
+      success: true,
+      message: 'Account deactivated successfully',
+    });
+  }
+
+  sendAccountDeletionScheduledEmail(user, user.deletionScheduledFor).catch((err) =>
+    console.error('Error sending account deletion email:', err)
+  );
 
   res.status(200).json({
     success: true,
-    message: 'Account deactivated successfully',
+    message: 'Account scheduled for deletion. Log in before the deletion date to cancel it.',
+    data: {
+      deletionScheduledFor: user.deletionScheduledFor,
+    },
   });
 });
 
 export default {
   register,
   login,
+  verifyTwoFactorLogin,
+  googleAuth,
+  googleCallback,
   logout,
   refreshAccessToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getLoginHistory,
   getMe,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   updatePassword,
   verifyEmail,
+  resendVerificationEmail,
   forgotPassword,
   resetPassword,
   deleteAccount,
@@ -1,7 +1,12 @@
-import Chat from '../models/Chat.model.js';
+import Chat, { getOfferTtlMs } from '../models/Chat.model.js';
+import Message from '../models/Message.model.js';
 import Listing from '../models/Listing.model.js';
+import Report from '../models/Report.model.js';
 import { catchAsync } from '../middleware/error.middleware.js';
 import { AppError } from '../middleware/error.middleware.js';
+import { notifyClosedOffers } from '../utils/offerExpiry.js';
+import { postChatMessage } from '../utils/chatMessages.js';
+import { consumeMessageLimit } from '../middleware/rateLimiter.middleware.js';
 
 // @desc    Get all user's chats
 // @route   GET /api/chat
@@ -17,7 +22,7 @@ export const getUserChats = catchAsync(async (req, res, next) => {
     .sort({ 'lastMessage.createdAt': -1 })
     .skip(skip)
     .limit(parseInt(limit))
-    .populate('participants', 'name avatar lastActive')
+    .populate('participants', 'name avatar lastActive privacy.showOnlineStatus')
     .populate('listing', 'title price images status');
 
   const total = await Chat.countDocuments({
@@ -83,14 +88,13 @@ export const getOrCreateChat = catchAsync(async (req, res, next) => {
   });
 });
 
-// @desc    Get chat by ID
+// @desc    Get chat by ID (with the latest page of messages)
 // @route   GET /api/chat/:id
 // @access  Private
 export const getChatById = catchAsync(async (req, res, next) => {
   const chat = await Chat.findById(req.params.id)
-    .populate('participants', 'name avatar lastActive')
-    .populate('listing', 'title price images status seller')
-    .populate('messages.sender', 'name avatar');
+    .populate('participants', 'name avatar lastActive privacy.showOnlineStatus')
+    .populate('listing', 'title price images status seller');
 
   if (!chat) {
     return next(new AppError('Chat not found', 404));
@@ -101,6 +105,9 @@ export const getChatById = catchAsync(async (req, res, next) => {
     return next(new AppError('Not authorized to access this chat', 403));
   }
 
+  // Older history is loaded through GET /api/chat/:id/messages?before=
+  const { messages, hasMore, limit } = await Message.findPage(chat._id);
+
   // Mark messages as read
   await chat.markAsRead(req.user._id);
 
@@ -108,86 +115,65 @@ export const getChatById = catchAsync(async (req, res, next) => {
     success: true,
     data: {
       chat,
+      messages,
+      pagination: {
+        limit,
+        hasMore,
+      },
     },
   });
 });
 
-// @desc    Send message
-// @route   POST /api/chat/:id/messages
+// @desc    Get chat message history
+// @route   GET /api/chat/:id/messages?before=<messageId>|after=<messageId>&limit=50
 // @access  Private
-export const sendMessage = catchAsync(async (req, res, next) => {
-  const { content, type = 'text', image, offer } = req.body;
+export const getChatMessages = catchAsync(async (req, res, next) => {
+  const { before, after, limit } = req.query;
 
-  const chat = await Chat.findById(req.params.id);
+  const chat = await Chat.findById(req.params.id).select('participants');
 
   if (!chat) {
     return next(new AppError('Chat not found', 404));
   }
 
-  // Check if user is participant
   if (!chat.isParticipant(req.user._id)) {
-    return next(new AppError('Not authorized to send messages in this chat', 403));
-  }
-
-  // Check if chat is blocked
-  if (chat.isBlockedBy(req.user._id)) {
-    return next(new AppError('You have blocked this chat', 403));
-  }
-
-  // Get recipient
-  const recipient = chat.participants.find(
-    (p) => p.toString() !== req.user._id.toString()
-  );
-
-  if (chat.isBlockedBy(recipient)) {
-    return next(new AppError('You cannot send messages to this user', 403));
+    return next(new AppError('Not authorized to access this chat', 403));
   }
 
-  // Create message object
-  const message = {
-    sender: req.user._id,
-    content,
-    type,
-  };
-
-  if (type === 'image' && image) {
-    message.image = image;
-  }
+  const page = await Message.findPage(chat._id, { before, after, limit });
 
-  if (type === 'offer' && offer) {
-    message.offer = {
-      amount: offer.amount,
-      status: 'pending',
-    };
+  if (!page) {
+    return next(new AppError('Message not found', 404));
   }
 
-  // Add message to chat
-  chat.messages.push(message);
-
-  // Update last message
-  await chat.updateLastMessage(message);
-
-  // Increment unread count for recipient
-  await chat.incrementUnread(recipient);
-
-  // Populate sender info for response
-  await chat.populate('messages.sender', 'name avatar');
-
-  // Get the newly added message
-  const newMessage = chat.messages[chat.messages.length - 1];
-
-  // Emit socket event
-  const io = req.app.get('io');
-  io.to(recipient.toString()).emit('new-message', {
-    chatId: chat._id,
-    message: newMessage,
+  res.status(200).json({
+    success: true,
+    data: {
+      messages: page.messages,
+      pagination: {
+        limit: page.limit,
+        hasMore: page.hasMore,
+      },
+    },
   });
+});
 
-  res.status(201).json({
+// @desc    Send message
+// @route   POST /api/chat/:id/messages
+// @access  Private
+export const sendMessage = catchAsync(async (req, res, next) => {
+  const { message, duplicate } = await postChatMessage(
+    req.params.id,
+    req.user,
+    req.body,
+    req.app.get('io')
+  );
+
+  res.status(duplicate ? 200 : 201).json({
     success: true,
-    message: 'Message sent successfully',
+    message: duplicate ? 'Message already sent' : 'Message sent successfully',
     data: {
-      message: newMessage,
+      message,
     },
   });
 });
@@ -278,30 +264,25 @@ export const toggleBlockChat = catchAsync(async (req, res, next) => {
   });
 });
 
-// @desc    Respond to offer
+// @desc    Respond to offer (accept, reject or counter)
 // @route   PUT /api/chat/:chatId/messages/:messageId/offer
 // @access  Private
 export const respondToOffer = catchAsync(async (req, res, next) => {
   const { chatId, messageId } = req.params;
-  const { status } = req.body; // 'accepted' or 'rejected'
-
-  if (!['accepted', 'rejected'].includes(status)) {
-    return next(new AppError('Invalid status. Use "accepted" or "rejected"', 400));
-  }
+  const { status, amount, content } = req.body;
 
-  const chat = await Chat.findById(chatId).populate('listing');
+  const chat = await Chat.findById(chatId).populate('listing', 'seller status');
 
   if (!chat) {
     return next(new AppError('Chat not found', 404));
   }
 
-  // Check if user is the listing seller
-  if (chat.listing.seller.toString() !== req.user._id.toString()) {
-    return next(new AppError('Only the seller can respond to offers', 403));
+  if (!chat.isParticipant(req.user._id)) {
+    return next(new AppError('Not authorized to access this chat', 403));
   }
 
   // Find the message
-  const message = chat.messages.id(messageId);
+  const message = await Message.findOne({ _id: messageId, chat: chat._id });
 
   if (!message) {
     return next(new AppError('Message not found', 404));
@@ -311,35 +292,220 @@ export const respondToOffer = catchAsync(async (req, res, next) => {
     return next(new AppError('This message is not an offer', 400));
   }
 
+  // Offers are answered by the other party (the seller, or the buyer for counter-offers)
+  if (message.sender.toString() === req.user._id.toString()) {
+    return next(new AppError('You cannot respond to your own offer', 403));
+  }
+
+  const io = req.app.get('io');
+
+  if (message.isOfferExpired()) {
+    await Message.closePendingOffers([message._id], 'expired');
+    notifyClosedOffers(
+      io,
+      [{ chatId: chat._id, participants: chat.participants, messageIds: [message._id] }],
+      'offer-expired'
+    );
+    return next(new AppError('This offer has expired', 400));
+  }
+
   if (message.offer.status !== 'pending') {
     return next(new AppError('This offer has already been responded to', 400));
   }
 
-  // Update offer status
+  if (status !== 'rejected' && chat.listing.status !== 'active') {
+    return next(new AppError('This listing is no longer available', 400));
+  }
+
+  // A counter-offer is a new message - same blocking rules and limit as sending one
+  if (status === 'countered') {
+    if (chat.isBlockedBy(req.user._id)) {
+      return next(new AppError('You have blocked this chat', 403));
+    }
+
+    if (chat.isBlockedBy(message.sender)) {
+      return next(new AppError('You cannot send messages to this user', 403));
+    }
+
+    if (!(await consumeMessageLimit(req.user._id))) {
+      return next(new AppError('Too many messages sent, please slow down.', 429));
+    }
+  }
+
+  // Update offer status (unless someone else closed it first)
+  const { modifiedCount } = await Message.closePendingOffers([message._id], status);
+
+  if (modifiedCount === 0) {
+    return next(new AppError('This offer has already been responded to', 400));
+  }
+
   message.offer.status = status;
-  await chat.save();
+  message.offer.closedAt = new Date();
+
+  let counterOffer;
+  if (status === 'countered') {
+    counterOffer = await Message.create({
+      chat: chat._id,
+      sender: req.user._id,
+      content: content || `Counter-offer: ${amount}`,
+      type: 'offer',
+      offer: {
+        amount,
+        status: 'pending',
+        counterTo: message._id,
+        expiresAt: new Date(Date.now() + getOfferTtlMs()),
+      },
+    });
 
-  // Send notification to buyer
-  const buyer = chat.participants.find(
-    (p) => p.toString() !== req.user._id.toString()
-  );
+    await chat.recordMessage(counterOffer, message.sender);
+  }
 
-  const io = req.app.get('io');
-  io.to(buyer.toString()).emit('offer-response', {
+  // Send notification to the offer's sender
+  io.to(message.sender.toString()).emit('offer-response', {
     chatId: chat._id,
     messageId: message._id,
     status,
+    counterOfferId: counterOffer?._id,
   });
 
+  if (counterOffer) {
+    await counterOffer.populate('sender', 'name avatar');
+
+    // Delivered like any sent message: to the recipient and to the chat room (each socket once)
+    io.to([message.sender.toString(), chat._id.toString()]).emit('new-message', {
+      chatId: chat._id,
+      message: counterOffer,
+    });
+  }
+
+  // Only one offer per listing can be accepted
+  if (status === 'accepted') {
+    const superseded = await Message.supersedePendingOffers(chat.listing._id, message._id);
+    notifyClosedOffers(io, superseded, 'offer-superseded');
+  }
+
   res.status(200).json({
     success: true,
     message: `Offer ${status}`,
     data: {
       message,
+      counterOffer,
     },
   });
 });
 
+// @desc    Withdraw your pending offer
+// @route   PUT /api/chat/:chatId/messages/:messageId/offer/withdraw
+// @access  Private
+export const withdrawOffer = catchAsync(async (req, res, next) => {
+  const { chatId, messageId } = req.params;
+
+  const chat = await Chat.findById(chatId);
+
+  if (!chat) {
+    return next(new AppError('Chat not found', 404));
+  }
+
+  if (!chat.isParticipant(req.user._id)) {
+    return next(new AppError('Not authorized to access this chat', 403));
+  }
+
+  const message = await Message.findOne({ _id: messageId, chat: chat._id });
+
+  if (!message || message.type !== 'offer') {
+    return next(new AppError('Offer not found', 404));
+  }
+
+  if (message.sender.toString() !== req.user._id.toString()) {
+    return next(new AppError('You can only withdraw your own offers', 403));
+  }
+
+  if (message.offer.status !== 'pending' || message.isOfferExpired()) {
+    return next(new AppError('Only pending offers can be withdrawn', 400));
+  }
+
+  const { modifiedCount } = await Message.closePendingOffers([message._id], 'withdrawn');
+
+  if (modifiedCount === 0) {
+    return next(new AppError('Only pending offers can be withdrawn', 400));
+  }
+
+  message.offer.status = 'withdrawn';
+  message.offer.closedAt = new Date();
+
+  const io = req.app.get('io');
+  io.to(chat.getOfferRecipient(message).toString()).emit('offer-withdrawn', {
+    chatId: chat._id,
+    messageId: message._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Offer withdrawn',
+    data: {
+      message,
+    },
+  });
+});
+
+// @desc    Report a message
+// @route   POST /api/chat/:chatId/messages/:messageId/report
+// @access  Private
+export const reportMessage = catchAsync(async (req, res, next) => {
+  const { chatId, messageId } = req.params;
+  const { reason, description, evidence } = req.body;
+
+  const chat = await Chat.findById(chatId);
+
+  if (!chat) {
+    return next(new AppError('Chat not found', 404));
+  }
+
+  // Only participants can see (and report) messages
+  if (!chat.isParticipant(req.user._id)) {
+    return next(new AppError('Not authorized to access this chat', 403));
+  }
+
+  const message = await Message.findOne({ _id: messageId, chat: chat._id });
+
+  if (!message || message.removedAt) {
+    return next(new AppError('Message not found', 404));
+  }
+
+  if (message.sender.toString() === req.user._id.toString()) {
+    return next(new AppError('You cannot report your own message', 400));
+  }
+
+  const { alreadyReported } = await Report.submit({
+    reporter: req.user._id,
+    targetType: 'message',
+    targetUser: message.sender,
+    targetChat: chat._id,
+    targetMessage: message._id,
+    reason,
+    description,
+    evidence,
+    snapshot: {
+      content: message.content,
+      type: message.type,
+      image: message.image?.url,
+      offer: message.offer?.amount,
+      listing: chat.listing,
+      sentAt: message.createdAt,
+      capturedAt: new Date(),
+    },
+  });
+
+  if (alreadyReported) {
+    return next(new AppError('You have already reported this message', 409));
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Message reported successfully. Our team will review this report.',
+  });
+});
+
 // @desc    Get unread message count
 // @route   GET /api/chat/unread/count
 // @access  Private
@@ -366,10 +532,13 @@ export default {
   getUserChats,
   getOrCreateChat,
   getChatById,
+  getChatMessages,
   sendMessage,
   markChatAsRead,
   deleteChat,
   toggleBlockChat,
   respondToOffer,
+  withdrawOffer,
   getUnreadCount,
+  reportMessage,
 };
\ No newline at end of file
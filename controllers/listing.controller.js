@@ -1,5 +1,6 @@
 import Listing from '../models/Listing.model.js';
 import User from '../models/User.model.js';
+import Report from '../models/Report.model.js';
 import { catchAsync } from '../middleware/error.middleware.js';
 import { AppError } from '../middleware/error.middleware.js';
 
@@ -25,7 +26,8 @@ export const getListings = catchAsync(async (req, res, next) => {
 
   if (category) query.category = category;
   if (condition) query.condition = condition;
-  if (status) query.status = status;
+  // Taken down listings are never listed publicly
+  query.status = status && status !== 'removed' ? status : { $ne: 'removed' };
 
   if (minPrice || maxPrice) {
     query.price = {};
@@ -49,7 +51,7 @@ export const getListings = catchAsync(async (req, res, next) => {
     .sort(sort)
     .skip(skip)
     .limit(parseInt(limit))
-    .populate('seller', 'name avatar rating lastActive');
+    .populate('seller', 'name avatar rating lastActive privacy.showOnlineStatus');
 
   const total = await Listing.countDocuments(query);
 
@@ -142,13 +144,21 @@ export const searchListings = catchAsync(async (req, res, next) => {
 export const getListingById = catchAsync(async (req, res, next) => {
   const listing = await Listing.findById(req.params.id).populate(
     'seller',
-    'name avatar rating university campus createdAt lastActive'
+    'name avatar rating reputation.seller university campus createdAt lastActive privacy.showOnlineStatus'
   );
 
   if (!listing) {
     return next(new AppError('Listing not found', 404));
   }
 
+  // Taken down listings are only visible to their seller (with the reason) and admins
+  if (listing.status === 'removed') {
+    const isSeller = req.user?._id.toString() === listing.seller._id.toString();
+    if (!isSeller && req.user?.role !== 'admin') {
+      return next(new AppError('Listing not found', 404));
+    }
+  }
+
   // Increment view count (don't wait for it)
   listing.incrementViews().catch((err) => console.error('Error incrementing views:', err));
 
@@ -167,6 +177,12 @@ export const createListing = catchAsync(async (req, res, next) => {
   // Add seller from authenticated user
   req.body.seller = req.user._id;
 
+  // Featuring and moderation are admin only (see admin routes)
+  delete req.body.status;
+  delete req.body.isFeatured;
+  delete req.body.featuredUntil;
+  delete req.body.takedown;
+
   // Set location from user profile if not provided
   if (!req.body.location) {
     req.body.location = {
@@ -214,13 +230,22 @@ export const updateListing = catchAsync(async (req, res, next) => {
     return next(new AppError('Listing not found', 404));
   }
 
-  // Check ownership
-  if (listing.seller.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  // Check ownership (admins edit other users' listings through the audited admin routes)
+  if (listing.seller.toString() !== req.user._id.toString()) {
     return next(new AppError('Not authorized to update this listing', 403));
   }
 
-  // Don't allow updating seller
+  if (listing.status === 'removed') {
+    return next(
+      new AppError(`This listing was taken down by a moderator: ${listing.takedown?.reason}`, 403)
+    );
+  }
+
+  // Don't allow updating seller, featuring or moderation fields
   delete req.body.seller;
+  delete req.body.isFeatured;
+  delete req.body.featuredUntil;
+  delete req.body.takedown;
 
   // Update listing
   listing = await Listing.findByIdAndUpdate(req.params.id, req.body, {
@@ -275,6 +300,7 @@ export const getFeaturedListings = catchAsync(async (req, res, next) => {
   const listings = await Listing.find({
     status: 'active',
     isFeatured: true,
+    $or: [{ featuredUntil: { $exists: false } }, { featuredUntil: { $gt: new Date() } }],
   })
     .sort({ createdAt: -1 })
     .limit(parseInt(limit))
@@ -380,6 +406,10 @@ export const markAsSold = catchAsync(async (req, res, next) => {
     return next(new AppError('Not authorized to update this listing', 403));
   }
 
+  if (listing.status === 'removed') {
+    return next(new AppError('This listing was taken down by a moderator', 403));
+  }
+
   listing.status = 'sold';
   await listing.save();
 
@@ -462,6 +492,53 @@ export const getListingStats = catchAsync(async (req, res, next) => {
   });
 });
 
+// @desc    Report a listing
+// @route   POST /api/listings/:id/report
+// @access  Private
+export const reportListing = catchAsync(async (req, res, next) => {
+  const { reason, description, evidence } = req.body;
+
+  const listing = await Listing.findById(req.params.id);
+
+  if (!listing) {
+    return next(new AppError('Listing not found', 404));
+  }
+
+  // Can't report your own listing
+  if (listing.seller.toString() === req.user._id.toString()) {
+    return next(new AppError('You cannot report your own listing', 400));
+  }
+
+  const { alreadyReported } = await Report.submit({
+    reporter: req.user._id,
+    targetType: 'listing',
+    targetUser: listing.seller,
+    targetListing: listing._id,
+    reason,
+    description,
+    evidence,
+    snapshot: {
+      title: listing.title,
+      description: listing.description,
+      price: listing.price,
+      category: listing.category,
+      condition: listing.condition,
+      images: listing.images.map((image) => image.url),
+      status: listing.status,
+      capturedAt: new Date(),
+    },
+  });
+
+  if (alreadyReported) {
+    return next(new AppError('You have already reported this listing', 409));
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Listing reported successfully. Our team will review this report.',
+  });
+});
+
 export default {
   getListings,
   searchListings,
@@ -475,4 +552,5 @@ export default {
   markAsSold,
   reactivateListing,
   getListingStats,
+  reportListing,
 };
\ No newline at end of file
@@ -1,14 +1,18 @@
 import Order from '../models/Order.model.js';
 import Listing from '../models/Listing.model.js';
 import User from '../models/User.model.js';
+import Message from '../models/Message.model.js';
 import { catchAsync } from '../middleware/error.middleware.js';
 import { AppError } from '../middleware/error.middleware.js';
 
+// Statements each party can add to a dispute (including the opening one)
+const MAX_DISPUTE_STATEMENTS = 10;
+
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Private
 export const createOrder = catchAsync(async (req, res, next) => {
-  const { listingId, finalPrice, negotiatedPrice, meetupDetails, notes } = req.body;
+  const { listingId, offerId, meetupDetails, notes } = req.body;
 
   // Get listing
   const listing = await Listing.findById(listingId).populate('seller');
@@ -27,9 +31,31 @@ export const createOrder = catchAsync(async (req, res, next) => {
     return next(new AppError('You cannot buy your own listing', 400));
   }
 
-  // Validate price
-  if (finalPrice < 0) {
-    return next(new AppError('Invalid price', 400));
+  // The price is the listing price or an offer the seller accepted in chat
+  const finalPrice =
+    req.body.finalPrice !== undefined ? Number(req.body.finalPrice) : undefined;
+  let acceptedOffer = null;
+
+  if (offerId || (finalPrice !== undefined && finalPrice !== listing.price)) {
+    acceptedOffer = await Message.findAcceptedOffer(listing._id, req.user._id, {
+      offerId,
+      amount: finalPrice,
+    });
+
+    if (!acceptedOffer) {
+      return next(
+        new AppError(
+          offerId
+            ? 'Offer not found or not accepted by the seller'
+            : 'Final price must match the listing price or an offer the seller accepted',
+          400
+        )
+      );
+    }
+
+    if (finalPrice !== undefined && finalPrice !== acceptedOffer.offer.amount) {
+      return next(new AppError('Final price must match the accepted offer', 400));
+    }
   }
 
   // Create order
@@ -44,8 +70,11 @@ export const createOrder = catchAsync(async (req, res, next) => {
       category: listing.category,
     },
     price: listing.price,
-    negotiatedPrice,
-    finalPrice,
+    negotiatedPrice: acceptedOffer?.offer.amount,
+    offer: acceptedOffer
+      ? { chat: acceptedOffer.chat, message: acceptedOffer._id }
+      : undefined,
+    finalPrice: acceptedOffer ? acceptedOffer.offer.amount : listing.price,
     meetupDetails,
     notes: {
       buyer: notes,
@@ -54,7 +83,7 @@ export const createOrder = catchAsync(async (req, res, next) => {
       {
         status: 'pending',
         timestamp: new Date(),
-        note: 'Order created',
+        note: acceptedOffer ? 'Order created from accepted offer' : 'Order created',
       },
     ],
   });
@@ -80,14 +109,14 @@ export const createOrder = catchAsync(async (req, res, next) => {
   // Send socket notification to seller
   const io = req.app.get('io');
   io.to(listing.seller._id.toString()).emit('new-order', {
-    order,
+    order: Order.hideUnpublishedRating(order.toJSON(), listing.seller._id),
   });
 
   res.status(201).json({
     success: true,
     message: 'Order created successfully',
     data: {
-      order,
+      order: Order.hideUnpublishedRating(order.toJSON(), req.user._id),
     },
   });
 });
@@ -118,7 +147,8 @@ export const getOrderById = catchAsync(async (req, res, next) => {
   res.status(200).json({
     success: true,
     data: {
-      order,
+      order: Order.hideUnpublishedRating(order.toJSON(), req.user._id),
+      ratingState: order.getRatingState(req.user._id),
     },
   });
 });
@@ -159,7 +189,7 @@ export const getUserOrders = catchAsync(async (req, res, next) => {
   res.status(200).json({
     success: true,
     data: {
-      orders,
+      orders: orders.map((order) => Order.hideUnpublishedRating(order.toJSON(), req.user._id)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -191,15 +221,16 @@ export const updateOrderStatus = catchAsync(async (req, res, next) => {
     return next(new AppError('Not authorized to update this order', 403));
   }
 
-  // Validate status transitions
+  // Validate status transitions (disputes are opened and resolved through their own endpoints)
   const validTransitions = {
     pending: ['confirmed', 'cancelled'],
     confirmed: ['meetup-scheduled', 'cancelled'],
     'meetup-scheduled': ['in-progress', 'cancelled'],
-    'in-progress': ['completed', 'disputed'],
+    'in-progress': ['completed'],
     completed: [],
     cancelled: [],
-    disputed: ['completed', 'cancelled'],
+    disputed: [],
+    refunded: [],
   };
 
   if (!validTransitions[order.status].includes(status)) {
@@ -241,7 +272,7 @@ export const updateOrderStatus = catchAsync(async (req, res, next) => {
     success: true,
     message: 'Order status updated successfully',
     data: {
-      order,
+      order: Order.hideUnpublishedRating(order.toJSON(), req.user._id),
     },
   });
 });
@@ -295,7 +326,7 @@ export const updateMeetupDetails = catchAsync(async (req, res, next) => {
     success: true,
     message: 'Meetup details updated successfully',
     data: {
-      order,
+      order: Order.hideUnpublishedRating(order.toJSON(), req.user._id),
     },
   });
 });
@@ -312,37 +343,38 @@ export const addRating = catchAsync(async (req, res, next) => {
     return next(new AppError('Order not found', 404));
   }
 
+  // Check if user is buyer or seller
+  const role = order.getPartyRole(req.user._id);
+  if (!role) {
+    return next(new AppError('Not authorized to rate this order', 403));
+  }
+
   // Check if order is completed
-  if (!order.canBeRated()) {
+  if (order.status !== 'completed') {
     return next(new AppError('Only completed orders can be rated', 400));
   }
 
-  // Check if user is buyer or seller
-  const userId = req.user._id.toString();
-  const isBuyer = order.buyer.toString() === userId;
-  const isSeller = order.seller.toString() === userId;
-
-  if (!isBuyer && !isSeller) {
-    return next(new AppError('Not authorized to rate this order', 403));
+  // Check if the rating window is still open
+  if (!order.canBeRated()) {
+    return next(new AppError('The rating window for this order has closed', 400));
   }
 
-  // Check if already rated
-  const existingRating = isBuyer
-    ? order.rating.buyerRating
-    : order.rating.sellerRating;
-
-  if (existingRating?.score) {
+  // Add rating (checks again atomically in case of a concurrent request)
+  const added = await order.addRating(req.user._id, score, review);
+  if (!added) {
     return next(new AppError('You have already rated this order', 400));
   }
 
-  // Add rating
-  await order.addRating(userId, score, review);
+  const ratingState = order.getRatingState(req.user._id);
 
   res.status(200).json({
     success: true,
-    message: 'Rating added successfully',
+    message: ratingState.published
+      ? 'Rating added successfully. Both ratings are now visible.'
+      : 'Rating added successfully. It will be visible once the other party rates or the rating window closes.',
     data: {
-      order,
+      order: Order.hideUnpublishedRating(order.toJSON(), req.user._id),
+      ratingState,
     },
   });
 });
@@ -398,7 +430,7 @@ export const cancelOrder = catchAsync(async (req, res, next) => {
     success: true,
     message: 'Order cancelled successfully',
     data: {
-      order,
+      order: Order.hideUnpublishedRating(order.toJSON(), req.user._id),
     },
   });
 });
@@ -407,11 +439,7 @@ export const cancelOrder = catchAsync(async (req, res, next) => {
 // @route   POST /api/orders/:id/dispute
 // @access  Private
 export const initiateDispute = catchAsync(async (req, res, next) => {
-  const { reason } = req.body;
-
-  if (!reason) {
-    return next(new AppError('Dispute reason is required', 400));
-  }
+  const { reason, evidence } = req.body;
 
   const order = await Order.findById(req.params.id);
 
@@ -420,28 +448,91 @@ export const initiateDispute = catchAsync(async (req, res, next) => {
   }
 
   // Check if user is buyer or seller
-  const userId = req.user._id.toString();
-  if (
-    order.buyer.toString() !== userId &&
-    order.seller.toString() !== userId
-  ) {
+  const role = order.getPartyRole(req.user._id);
+  if (!role) {
     return next(new AppError('Not authorized to dispute this order', 403));
   }
 
   // Check if already disputed
-  if (order.status === 'disputed') {
-    return next(new AppError('This order is already in dispute', 400));
+  if (order.dispute?.status) {
+    return next(new AppError('This order has already been disputed', 400));
+  }
+
+  if (!order.canBeDisputed()) {
+    return next(new AppError(`Cannot dispute a ${order.status} order`, 400));
   }
 
   // Initiate dispute
-  await order.initiateDispute(userId, reason);
+  await order.initiateDispute(req.user._id, reason, evidence);
+
+  // Notify the other party
+  const recipientId = role === 'buyer' ? order.seller : order.buyer;
+  const io = req.app.get('io');
+  io.to(recipientId.toString()).emit('dispute-update', {
+    orderId: order._id,
+    event: 'opened',
+    disputeStatus: order.dispute.status,
+  });
 
   res.status(200).json({
     success: true,
     message:
       'Dispute initiated. Our team will review and contact you shortly.',
     data: {
-      order,
+      order: Order.hideUnpublishedRating(order.toJSON(), req.user._id),
+    },
+  });
+});
+
+// @desc    Add statement to dispute
+// @route   POST /api/orders/:id/dispute/statements
+// @access  Private
+export const addDisputeStatement = catchAsync(async (req, res, next) => {
+  const { content, evidence } = req.body;
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  // Check if user is buyer or seller
+  const role = order.getPartyRole(req.user._id);
+  if (!role) {
+    return next(new AppError('Not authorized to update this dispute', 403));
+  }
+
+  if (!order.dispute?.status) {
+    return next(new AppError('This order is not in dispute', 400));
+  }
+
+  if (order.dispute.status === 'resolved') {
+    return next(new AppError('This dispute has already been resolved', 400));
+  }
+
+  const ownStatements = order.dispute.statements.filter((statement) => statement.role === role);
+  if (ownStatements.length >= MAX_DISPUTE_STATEMENTS) {
+    return next(
+      new AppError(`You can add at most ${MAX_DISPUTE_STATEMENTS} statements to a dispute`, 400)
+    );
+  }
+
+  await order.addDisputeStatement(req.user._id, content, evidence);
+
+  // Notify the other party
+  const recipientId = role === 'buyer' ? order.seller : order.buyer;
+  const io = req.app.get('io');
+  io.to(recipientId.toString()).emit('dispute-update', {
+    orderId: order._id,
+    event: 'statement',
+    disputeStatus: order.dispute.status,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Statement added to dispute',
+    data: {
+      dispute: order.dispute,
     },
   });
 });
@@ -484,7 +575,7 @@ export const addNotes = catchAsync(async (req, res, next) => {
     success: true,
     message: 'Notes updated successfully',
     data: {
-      order,
+      order: Order.hideUnpublishedRating(order.toJSON(), req.user._id),
     },
   });
 });
@@ -498,5 +589,6 @@ export default {
   addRating,
   cancelOrder,
   initiateDispute,
+  addDisputeStatement,
   addNotes,
 };
\ No newline at end of file
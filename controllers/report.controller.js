@@ -0,0 +1,297 @@
+import Report from '../models/Report.model.js';
+import User from '../models/User.model.js';
+import Listing from '../models/Listing.model.js';
+import Message from '../models/Message.model.js';
+import { catchAsync } from '../middleware/error.middleware.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { recordAdminAction } from '../utils/auditLog.js';
+import { banAccount } from '../utils/moderation.js';
+
+// Carry out the moderation action chosen when resolving a report
+const applyReportAction = async (report, action, adminId, io) => {
+  if (action === 'content-removed') {
+    if (report.targetType === 'listing') {
+      const listing = await Listing.findById(report.targetListing);
+      if (listing && listing.status !== 'removed') {
+        listing.takeDown(`Removed after a report (${report.reason})`, adminId);
+        await listing.save();
+      }
+      return;
+    }
+    if (report.targetType === 'message') {
+      // The original content stays available in the report snapshot
+      await Message.updateOne(
+        { _id: report.targetMessage, chat: report.targetChat },
+        {
+          $set: {
+            content: 'This message was removed by a moderator',
+            removedAt: new Date(),
+          },
+          $unset: { image: 1 },
+        }
+      );
+      return;
+    }
+    throw new AppError('Only reported content can be removed', 400);
+  }
+
+  if (action === 'user-deactivated') {
+    const user = await User.findById(report.targetUser);
+    if (!user) {
+      throw new AppError('Reported user no longer exists', 404);
+    }
+    if (user.role === 'admin') {
+      throw new AppError('Admin accounts cannot be deactivated from a report', 400);
+    }
+
+    // Goes through the ban path, so an admin can undo it with restoreUser
+    if (!user.isBanned()) {
+      await banAccount(user, `Deactivated after a report (${report.reason})`, io);
+    }
+  }
+};
+
+// @desc    Get moderation queue
+// @route   GET /api/admin/reports
+// @access  Private (Admin)
+export const getReports = catchAsync(async (req, res, next) => {
+  const {
+    status,
+    targetType,
+    reason,
+    priority,
+    assignedTo,
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  // Duplicates are listed under the report they were collapsed into
+  const query = {
+    duplicateOf: { $exists: false },
+    status: status || { $in: ['open', 'in-review'] },
+  };
+
+  if (targetType) query.targetType = targetType;
+  if (reason) query.reason = reason;
+  if (priority) query.priority = priority;
+  if (assignedTo === 'me') query.assignedTo = req.user._id;
+  else if (assignedTo === 'none') query.assignedTo = { $exists: false };
+  else if (assignedTo) query.assignedTo = assignedTo;
+
+  const skip = (page - 1) * limit;
+
+  const reports = await Report.find(query)
+    .sort({ duplicateCount: -1, createdAt: 1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .select('-history')
+    .populate('reporter', 'name avatar')
+    .populate('targetUser', 'name email avatar isActive')
+    .populate('targetListing', 'title status')
+    .populate('assignedTo', 'name');
+
+  const total = await Report.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reports,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+// @desc    Get report with its duplicates
+// @route   GET /api/admin/reports/:id
+// @access  Private (Admin)
+export const getReportById = catchAsync(async (req, res, next) => {
+  const report = await Report.findById(req.params.id)
+    .populate('reporter', 'name email avatar')
+    .populate('targetUser', 'name email avatar isActive role createdAt')
+    .populate('targetListing', 'title description price images status seller')
+    .populate('assignedTo', 'name')
+    .populate('resolution.resolvedBy', 'name')
+    .populate('history.by', 'name');
+
+  if (!report) {
+    return next(new AppError('Report not found', 404));
+  }
+
+  const duplicates = await Report.find({ duplicateOf: report._id })
+    .sort({ createdAt: 1 })
+    .select('reporter reason description evidence createdAt')
+    .populate('reporter', 'name email avatar');
+
+  // Earlier reports against the same user give moderators context
+  const previousReports = await Report.countDocuments({
+    _id: { $ne: report._id },
+    targetUser: report.targetUser,
+    duplicateOf: { $exists: false },
+    status: 'resolved',
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      report,
+      duplicates,
+      previousReports,
+    },
+  });
+});
+
+// @desc    Triage report (set priority, start review)
+// @route   PATCH /api/admin/reports/:id/triage
+// @access  Private (Admin)
+export const triageReport = catchAsync(async (req, res, next) => {
+  const { priority, note } = req.body;
+
+  const report = await Report.findById(req.params.id);
+
+  if (!report) {
+    return next(new AppError('Report not found', 404));
+  }
+
+  if (report.duplicateOf) {
+    return next(new AppError('Duplicate reports are handled with their original report', 400));
+  }
+
+  if (!report.isOpen()) {
+    return next(new AppError('This report has already been closed', 400));
+  }
+
+  report.priority = priority;
+  report.status = 'in-review';
+  report.history.push({ action: 'triaged', by: req.user._id, note });
+  await report.save();
+
+  await recordAdminAction(req, {
+    action: 'report.triage',
+    targetType: 'report',
+    targetId: report._id,
+    details: { priority, note },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Report triaged successfully',
+    data: {
+      report,
+    },
+  });
+});
+
+// @desc    Assign report to a moderator (defaults to yourself)
+// @route   PATCH /api/admin/reports/:id/assign
+// @access  Private (Admin)
+export const assignReport = catchAsync(async (req, res, next) => {
+  const assigneeId = req.body.assignee || req.user._id;
+
+  const report = await Report.findById(req.params.id);
+
+  if (!report) {
+    return next(new AppError('Report not found', 404));
+  }
+
+  if (report.duplicateOf) {
+    return next(new AppError('Duplicate reports are handled with their original report', 400));
+  }
+
+  if (!report.isOpen()) {
+    return next(new AppError('This report has already been closed', 400));
+  }
+
+  const assignee = await User.findById(assigneeId);
+  if (!assignee || assignee.role !== 'admin' || !assignee.isActive) {
+    return next(new AppError('Reports can only be assigned to active admins', 400));
+  }
+
+  report.assignedTo = assignee._id;
+  report.status = 'in-review';
+  report.history.push({ action: 'assigned', by: req.user._id, note: `Assigned to ${assignee.name}` });
+  await report.save();
+
+  await recordAdminAction(req, {
+    action: 'report.assign',
+    targetType: 'report',
+    targetId: report._id,
+    details: { assignee: assignee._id },
+  });
+
+  await report.populate('assignedTo', 'name');
+
+  res.status(200).json({
+    success: true,
+    message: 'Report assigned successfully',
+    data: {
+      report,
+    },
+  });
+});
+
+// @desc    Resolve or dismiss report (and its duplicates)
+// @route   PATCH /api/admin/reports/:id/resolve
+// @access  Private (Admin)
+export const resolveReport = catchAsync(async (req, res, next) => {
+  const { action, note } = req.body;
+
+  const report = await Report.findById(req.params.id);
+
+  if (!report) {
+    return next(new AppError('Report not found', 404));
+  }
+
+  if (report.duplicateOf) {
+    return next(new AppError('Duplicate reports are handled with their original report', 400));
+  }
+
+  if (!report.isOpen()) {
+    return next(new AppError('This report has already been closed', 400));
+  }
+
+  await applyReportAction(report, action, req.user._id, req.app.get('io'));
+
+  const status = action === 'none' ? 'dismissed' : 'resolved';
+  const resolution = {
+    action,
+    note,
+    resolvedBy: req.user._id,
+    resolvedAt: new Date(),
+  };
+
+  report.status = status;
+  report.resolution = resolution;
+  report.history.push({ action: status, by: req.user._id, note });
+  await report.save();
+
+  // Close collapsed duplicates with the same outcome
+  await Report.updateMany({ duplicateOf: report._id }, { status, resolution });
+
+  await recordAdminAction(req, {
+    action: 'report.resolve',
+    targetType: 'report',
+    targetId: report._id,
+    details: { action, note, targetUser: report.targetUser },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Report ${status} successfully`,
+    data: {
+      report,
+    },
+  });
+});
+
+export default {
+  getReports,
+  getReportById,
+  triageReport,
+  assignReport,
+  resolveReport,
+};
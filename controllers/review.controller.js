@@ -0,0 +1,124 @@
+import Review from '../models/Review.model.js';
+import User from '../models/User.model.js';
+import Listing from '../models/Listing.model.js';
+import { catchAsync } from '../middleware/error.middleware.js';
+import { AppError } from '../middleware/error.middleware.js';
+
+// Get a page of published reviews matching a query
+const findPublishedReviews = async (query, { page = 1, limit = 20 }) => {
+  const filter = { ...query, status: 'published' };
+  const skip = (page - 1) * limit;
+
+  const reviews = await Review.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .select('-moderation')
+    .populate('reviewer', 'name avatar')
+    .populate('listing', 'title images');
+
+  const total = await Review.countDocuments(filter);
+
+  return {
+    reviews,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+// @desc    Get reviews a user received
+// @route   GET /api/users/:id/reviews
+// @access  Public
+export const getUserReviews = catchAsync(async (req, res, next) => {
+  const { role } = req.query;
+
+  const user = await User.exists({ _id: req.params.id });
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  // role is the reviewed user's side of the order
+  const query = { reviewee: req.params.id };
+  if (role === 'seller') {
+    query.reviewerRole = 'buyer';
+  } else if (role === 'buyer') {
+    query.reviewerRole = 'seller';
+  } else if (role) {
+    return next(new AppError('Invalid role. Use "buyer" or "seller"', 400));
+  }
+
+  const data = await findPublishedReviews(query, req.query);
+
+  res.status(200).json({
+    success: true,
+    data,
+  });
+});
+
+// @desc    Get reviews left on a listing's orders
+// @route   GET /api/listings/:id/reviews
+// @access  Public
+export const getListingReviews = catchAsync(async (req, res, next) => {
+  const listing = await Listing.findById(req.params.id).select('seller status');
+
+  if (!listing) {
+    return next(new AppError('Listing not found', 404));
+  }
+
+  // Taken down listings are only visible to their seller and admins
+  if (listing.status === 'removed') {
+    const isSeller = req.user?._id.toString() === listing.seller.toString();
+    if (!isSeller && req.user?.role !== 'admin') {
+      return next(new AppError('Listing not found', 404));
+    }
+  }
+
+  const data = await findPublishedReviews({ listing: listing._id }, req.query);
+
+  res.status(200).json({
+    success: true,
+    data,
+  });
+});
+
+// @desc    Reply to a review you received
+// @route   POST /api/reviews/:id/reply
+// @access  Private
+export const replyToReview = catchAsync(async (req, res, next) => {
+  const { text } = req.body;
+
+  const review = await Review.findById(req.params.id);
+
+  if (!review || review.status !== 'published') {
+    return next(new AppError('Review not found', 404));
+  }
+
+  if (review.reviewee.toString() !== req.user._id.toString()) {
+    return next(new AppError('You can only reply to reviews about you', 403));
+  }
+
+  if (!review.canBeRepliedTo()) {
+    return next(new AppError('You have already replied to this review', 400));
+  }
+
+  review.reply = { text, createdAt: new Date() };
+  await review.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Reply added successfully',
+    data: {
+      review,
+    },
+  });
+});
+
+export default {
+  getUserReviews,
+  getListingReviews,
+  replyToReview,
+};
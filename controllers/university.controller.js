@@ -0,0 +1,79 @@
+import University from '../models/University.model.js';
+import { catchAsync } from '../middleware/error.middleware.js';
+import { AppError } from '../middleware/error.middleware.js';
+
+// @desc    Get all active universities
+// @route   GET /api/universities
+// @access  Public
+export const getUniversities = catchAsync(async (req, res, next) => {
+  const universities = await University.find({ isActive: true })
+    .select('name campuses emailDomains')
+    .sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      universities,
+    },
+  });
+});
+
+// @desc    Create university
+// @route   POST /api/universities
+// @access  Private (Admin)
+export const createUniversity = catchAsync(async (req, res, next) => {
+  const { name, aliases, campuses, emailDomains } = req.body;
+
+  const university = await University.create({
+    name,
+    aliases,
+    campuses,
+    emailDomains,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'University created successfully',
+    data: {
+      university,
+    },
+  });
+});
+
+// @desc    Update university
+// @route   PUT /api/universities/:id
+// @access  Private (Admin)
+export const updateUniversity = catchAsync(async (req, res, next) => {
+  const allowedFields = ['name', 'aliases', 'campuses', 'emailDomains', 'isActive'];
+
+  // Filter req.body to only allowed fields
+  const updates = {};
+  Object.keys(req.body).forEach((key) => {
+    if (allowedFields.includes(key)) {
+      updates[key] = req.body[key];
+    }
+  });
+
+  const university = await University.findByIdAndUpdate(req.params.id, updates, {
+    new: true,
+    runValidators: true,
+  });
+
+  if (!university) {
+    return next(new AppError('University not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'University updated successfully',
+    data: {
+      university,
+    },
+  });
+});
+
+export default {
+  getUniversities,
+  createUniversity,
+  updateUniversity,
+};
@@ -5,6 +5,7 @@ import {
   uploadMultipleToCloudinary,
   uploadAvatar,
   deleteFromCloudinary,
+  getPublicIdFromUrl,
 } from '../utils/cloudinary.js';
 import User from '../models/User.model.js';
 
@@ -64,9 +65,7 @@ export const uploadUserAvatar = catchAsync(async (req, res, next) => {
   const user = await User.findById(req.user._id);
   if (user.avatar && !user.avatar.includes('avatar-default')) {
     // Extract public ID from URL
-    const urlParts = user.avatar.split('/');
-    const publicIdWithExt = urlParts.slice(-2).join('/');
-    const publicId = publicIdWithExt.split('.')[0];
+    const publicId = getPublicIdFromUrl(user.avatar);
 
     try {
       await deleteFromCloudinary(publicId);
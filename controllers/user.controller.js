@@ -1,25 +1,49 @@
 import User from '../models/User.model.js';
 import Listing from '../models/Listing.model.js';
 import Order from '../models/Order.model.js';
+import University from '../models/University.model.js';
+import DataExport from '../models/DataExport.model.js';
+import Report from '../models/Report.model.js';
 import { catchAsync } from '../middleware/error.middleware.js';
 import { AppError } from '../middleware/error.middleware.js';
+import { queueDataExport, openDataExportArchive } from '../utils/dataExport.js';
+import { announcePresence, isUserOnline } from '../utils/presence.js';
+
+// Minimum time between data exports for one user
+const DATA_EXPORT_COOLDOWN_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Fields shown on a public profile (moderation, security and contact details stay private)
+const PUBLIC_PROFILE_FIELDS =
+  'name avatar university campus bio isVerified rating reputation listings lastActive privacy createdAt';
+
+// Public fields of a data export job
+const formatDataExport = (job) => ({
+  id: job._id,
+  status: job.status,
+  fileSize: job.fileSize,
+  error: job.error,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+});
 
 // @desc    Get user profile by ID
 // @route   GET /api/users/:id
 // @access  Public
 export const getUserById = catchAsync(async (req, res, next) => {
-  const user = await User.findById(req.params.id)
-    .select('-password -refreshToken')
-    .populate('listings', 'title price images status createdAt');
+  // Deactivated and banned accounts have no public profile
+  const user = await User.findOne({ _id: req.params.id, isActive: true, bannedAt: null })
+    .select(PUBLIC_PROFILE_FIELDS)
+    .populate({
+      path: 'listings',
+      select: 'title price images status createdAt',
+      match: { status: { $ne: 'removed' } },
+    });
 
   if (!user) {
     return next(new AppError('User not found', 404));
   }
 
-  if (!user.isActive) {
-    return next(new AppError('User account is deactivated', 404));
-  }
-
   res.status(200).json({
     success: true,
     data: {
@@ -49,15 +73,46 @@ export const updateProfile = catchAsync(async (req, res, next) => {
     }
   });
 
+  // Privacy settings are updated one by one so the others are kept
+  const showOnlineStatus = req.body.privacy?.showOnlineStatus;
+  if (showOnlineStatus !== undefined) {
+    updates['privacy.showOnlineStatus'] = showOnlineStatus;
+  }
+
   // Don't allow empty name
   if (updates.name && updates.name.trim().length === 0) {
     return next(new AppError('Name cannot be empty', 400));
   }
 
+  // University is tied to the email domain; campus must be one of its campuses
+  if (updates.university !== undefined || updates.campus !== undefined) {
+    const institution = await University.resolveForEmail(req.user.email, {
+      university: updates.university,
+      campus: updates.campus,
+    });
+    if (institution.error) {
+      return next(new AppError(institution.error, 400));
+    }
+    updates.university = institution.university;
+    if (updates.campus !== undefined) {
+      updates.campus = institution.campus;
+    }
+  }
+
   const user = await User.findByIdAndUpdate(req.user._id, updates, {
     new: true,
     runValidators: true,
-  }).select('-password -refreshToken');
+  }).select('-password');
+
+  // Counterparties see the user go offline when they hide their status, and their real status when they stop
+  if (showOnlineStatus !== undefined && showOnlineStatus !== req.user.isOnlineStatusVisible()) {
+    const io = req.app.get('io');
+    const announce = async () => {
+      const online = showOnlineStatus && (await isUserOnline(user._id));
+      await announcePresence(io, user._id, online, { ignorePrivacy: true });
+    };
+    announce().catch((error) => console.error('Presence update failed:', error));
+  }
 
   res.status(200).json({
     success: true,
@@ -81,9 +136,12 @@ export const getUserListings = catchAsync(async (req, res, next) => {
     return next(new AppError('User not found', 404));
   }
 
-  // Build query
+  // Build query (taken down listings are only visible to their seller)
   const query = { seller: id };
-  if (status) {
+  const isOwner = req.user?._id.toString() === id;
+  if (!isOwner) {
+    query.status = status && status !== 'removed' ? status : { $ne: 'removed' };
+  } else if (status) {
     query.status = status;
   }
 
@@ -228,7 +286,7 @@ export const getUserOrders = catchAsync(async (req, res, next) => {
   res.status(200).json({
     success: true,
     data: {
-      orders,
+      orders: orders.map((order) => Order.hideUnpublishedRating(order.toJSON(), req.user._id)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -305,6 +363,7 @@ export const getUserStats = catchAsync(async (req, res, next) => {
         totalSales,
         totalPurchases,
         rating: user.rating,
+        reputation: user.reputation,
         memberSince: user.createdAt,
       },
     },
@@ -368,15 +427,11 @@ export const searchUsers = catchAsync(async (req, res, next) => {
 // @access  Private
 export const reportUser = catchAsync(async (req, res, next) => {
   const { id } = req.params;
-  const { reason, description } = req.body;
-
-  if (!reason || !description) {
-    return next(new AppError('Reason and description are required', 400));
-  }
+  const { reason, description, evidence } = req.body;
 
   // Check if user exists
   const user = await User.findById(id);
-  if (!user) {
+  if (!user || user.deletedAt) {
     return next(new AppError('User not found', 404));
   }
 
@@ -385,16 +440,120 @@ export const reportUser = catchAsync(async (req, res, next) => {
     return next(new AppError('You cannot report yourself', 400));
   }
 
-  // Here you would save the report to a Report model
-  // For now, just return success
-  // TODO: Implement Report model and save report
+  const { alreadyReported } = await Report.submit({
+    reporter: req.user._id,
+    targetType: 'user',
+    targetUser: user._id,
+    reason,
+    description,
+    evidence,
+  });
 
-  res.status(200).json({
+  if (alreadyReported) {
+    return next(new AppError('You have already reported this user', 409));
+  }
+
+  res.status(201).json({
     success: true,
     message: 'User reported successfully. Our team will review this report.',
   });
 });
 
+// @desc    Request a data export
+// @route   POST /api/users/me/export
+// @access  Private
+export const requestDataExport = catchAsync(async (req, res, next) => {
+  // Reuse an export that is still being generated
+  const pending = await DataExport.findOne({
+    user: req.user._id,
+    status: { $in: ['queued', 'processing'] },
+  });
+
+  if (pending) {
+    return res.status(202).json({
+      success: true,
+      message: 'Your data export is already being prepared',
+      data: {
+        export: formatDataExport(pending),
+      },
+    });
+  }
+
+  const recent = await DataExport.findOne({
+    user: req.user._id,
+    status: 'completed',
+    createdAt: { $gt: new Date(Date.now() - DATA_EXPORT_COOLDOWN_MS) },
+  });
+
+  if (recent) {
+    return next(
+      new AppError('You can request a new data export once every 24 hours', 429)
+    );
+  }
+
+  const job = await DataExport.create({ user: req.user._id });
+
+  // Generate in the background - chats can be large
+  queueDataExport(job._id);
+
+  res.status(202).json({
+    success: true,
+    message: 'Your data export is being prepared',
+    data: {
+      export: formatDataExport(job),
+    },
+  });
+});
+
+// @desc    Get data export status
+// @route   GET /api/users/me/export/:id
+// @access  Private
+export const getDataExport = catchAsync(async (req, res, next) => {
+  const job = await DataExport.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!job) {
+    return next(new AppError('Data export not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      export: formatDataExport(job),
+    },
+  });
+});
+
+// @desc    Download data export archive
+// @route   GET /api/users/me/export/:id/download
+// @access  Private
+export const downloadDataExport = catchAsync(async (req, res, next) => {
+  const job = await DataExport.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  }).select('+fileId');
+
+  if (!job) {
+    return next(new AppError('Data export not found', 404));
+  }
+
+  if (!job.isDownloadable() || !job.fileId) {
+    return next(new AppError('This data export is not ready or has expired', 400));
+  }
+
+  const fileName = `elevator-pitch-data-${job.completedAt.toISOString().slice(0, 10)}.zip`;
+  const archive = openDataExportArchive(job.fileId);
+
+  archive.once('error', (error) => {
+    if (!res.headersSent) {
+      return next(new AppError('Data export file is no longer available', 410));
+    }
+    res.destroy(error);
+  });
+
+  res.attachment(fileName);
+  archive.pipe(res);
+});
+
 export default {
   getUserById,
   updateProfile,
@@ -405,4 +564,7 @@ export default {
   getUserStats,
   searchUsers,
   reportUser,
+  requestDataExport,
+  getDataExport,
+  downloadDataExport,
 };
\ No newline at end of file
@@ -1,24 +1,36 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.model.js';
+import { AppError } from './error.middleware.js';
 
-// Generate access token
-export const generateAccessToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_ACCESS_SECRET, {
-    expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m',
-  });
+// Generate access token (sid links it to the session that issued it,
+// ver must match the user's tokenVersion for the token to be accepted)
+export const generateAccessToken = (userId, sessionId, tokenVersion = 0) => {
+  return jwt.sign(
+    { id: userId, sid: sessionId, ver: tokenVersion },
+    process.env.JWT_ACCESS_SECRET,
+    { expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m' }
+  );
+};
+
+// Check that an access token was issued for the user's current token version
+export const isTokenVersionCurrent = (decoded, user) => {
+  return (decoded.ver || 0) === (user.tokenVersion || 0);
 };
 
-// Generate refresh token
-export const generateRefreshToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_REFRESH_SECRET, {
+// Generate refresh token (jti identifies the current rotation of the session)
+export const generateRefreshToken = (userId, sessionId, tokenId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.JWT_REFRESH_EXPIRY || '7d',
+    jwtid: tokenId,
   });
 };
 
 // Verify access token
 export const verifyAccessToken = (token) => {
   try {
-    return jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    // Purpose-scoped tokens (e.g. email verification) may share the secret - never accept them as access tokens
+    return decoded.purpose ? null : decoded;
   } catch (error) {
     return null;
   }
@@ -33,6 +45,51 @@ export const verifyRefreshToken = (token) => {
   }
 };
 
+// Generate email verification token
+export const generateEmailVerificationToken = (userId, tokenId) => {
+  return jwt.sign(
+    { id: userId, jti: tokenId, purpose: 'email-verification' },
+    process.env.JWT_EMAIL_SECRET || process.env.JWT_ACCESS_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRY || '24h' }
+  );
+};
+
+// Verify email verification token
+export const verifyEmailVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(
+      token,
+      process.env.JWT_EMAIL_SECRET || process.env.JWT_ACCESS_SECRET
+    );
+    return decoded.purpose === 'email-verification' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Generate 2FA challenge token (proves the password step of login succeeded)
+// jti makes it single use, ver ties it to the user's current tokenVersion
+export const generateTwoFactorChallengeToken = (userId, tokenId, tokenVersion = 0) => {
+  return jwt.sign(
+    { id: userId, ver: tokenVersion, purpose: '2fa-challenge' },
+    process.env.JWT_2FA_SECRET || process.env.JWT_ACCESS_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || '5m', jwtid: tokenId }
+  );
+};
+
+// Verify 2FA challenge token
+export const verifyTwoFactorChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(
+      token,
+      process.env.JWT_2FA_SECRET || process.env.JWT_ACCESS_SECRET
+    );
+    return decoded.purpose === '2fa-challenge' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 // Protect routes middleware
 export const protect = async (req, res, next) => {
   try {
@@ -68,7 +125,7 @@ export const protect = async (req, res, next) => {
     }
 
     // Get user from token
-    const user = await User.findById(decoded.id).select('-password -refreshToken');
+    const user = await User.findById(decoded.id).select('-password');
 
     if (!user) {
       return res.status(401).json({
@@ -84,8 +141,17 @@ export const protect = async (req, res, next) => {
       });
     }
 
-    // Attach user to request
+    // Password change, deactivation or ban since the token was issued
+    if (!isTokenVersionCurrent(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your session is no longer valid. Please log in again.',
+      });
+    }
+
+    // Attach user and session to request
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -96,6 +162,59 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// Socket.IO connection middleware - same checks as protect, for the handshake
+// (token from the client's auth payload or an Authorization header)
+export const socketProtect = async (socket, next) => {
+  // statusCode is passed to the client in err.data (401 = refresh the token and reconnect)
+  const fail = (message, statusCode) => {
+    const error = new AppError(message, statusCode);
+    error.data = { statusCode };
+    next(error);
+  };
+
+  try {
+    const { auth = {}, headers = {} } = socket.handshake;
+    let token = auth.token;
+
+    if (!token && headers.authorization?.startsWith('Bearer')) {
+      token = headers.authorization.split(' ')[1];
+    }
+
+    if (!token) {
+      return fail('Not authorized. Please log in.', 401);
+    }
+
+    const decoded = verifyAccessToken(token);
+
+    if (!decoded) {
+      return fail('Invalid or expired token. Please log in again.', 401);
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+
+    if (!user) {
+      return fail('User not found. Please log in again.', 401);
+    }
+
+    if (!user.isActive) {
+      return fail('Account is deactivated. Please contact support.', 403);
+    }
+
+    if (!isTokenVersionCurrent(decoded, user)) {
+      return fail('Your session is no longer valid. Please log in again.', 401);
+    }
+
+    socket.user = user;
+    socket.sessionId = decoded.sid;
+    // Visible to fetchSockets() on every server, so one session's sockets can be disconnected
+    socket.data.sessionId = String(decoded.sid);
+    next();
+  } catch (error) {
+    console.error('Socket auth middleware error:', error);
+    fail('Authentication error', 500);
+  }
+};
+
 // Restrict to specific roles
 export const restrictTo = (...roles) => {
   return (req, res, next) => {
@@ -126,9 +245,10 @@ export const optionalAuth = async (req, res, next) => {
     if (token) {
       const decoded = verifyAccessToken(token);
       if (decoded) {
-        const user = await User.findById(decoded.id).select('-password -refreshToken');
-        if (user && user.isActive) {
+        const user = await User.findById(decoded.id).select('-password');
+        if (user && user.isActive && isTokenVersionCurrent(decoded, user)) {
           req.user = user;
+          req.sessionId = decoded.sid;
         }
       }
     }
@@ -168,6 +288,7 @@ export const verifyOwnership = (resourceField = 'seller') => {
 
 export default {
   protect,
+  socketProtect,
   restrictTo,
   optionalAuth,
   verifyOwnership,
@@ -175,4 +296,9 @@ export default {
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  isTokenVersionCurrent,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
 };
\ No newline at end of file
@@ -1,9 +1,26 @@
-import rateLimit from 'express-rate-limit';
+import rateLimit, { ipKeyGenerator, MemoryStore } from 'express-rate-limit';
+import { RedisStore } from 'rate-limit-redis';
+import { usesRedis, getRedisClient } from '../utils/redis.js';
+
+// Where a limiter keeps its counters: in memory (single instance) or in Redis,
+// shared by every instance behind the load balancer (RATE_LIMIT_STORE=redis)
+const createStore = (name) => {
+  if (!usesRedis('RATE_LIMIT_STORE')) {
+    return new MemoryStore();
+  }
+
+  const client = getRedisClient();
+  return new RedisStore({
+    sendCommand: (...args) => client.sendCommand(args),
+    prefix: `rl:${name}:`, // Each limiter counts separately
+  });
+};
 
 // General API rate limiter
 export const rateLimiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // Limit each IP to 100 requests per windowMs
+  store: createStore('api'),
   message: {
     success: false,
     message: 'Too many requests from this IP, please try again later.',
@@ -20,6 +37,7 @@ export const rateLimiter = rateLimit({
 export const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // Limit each IP to 5 login/register requests per windowMs
+  store: createStore('auth'),
   skipSuccessfulRequests: true, // Don't count successful requests
   message: {
     success: false,
@@ -29,10 +47,38 @@ export const authLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiter for resending verification emails
+export const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // 3 verification emails per hour
+  store: createStore('verification-email'),
+  keyGenerator: (req) => req.user?._id.toString() || ipKeyGenerator(req.ip),
+  message: {
+    success: false,
+    message: 'Too many verification emails requested, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiter for password reset emails (counts every request - the response never reveals success)
+export const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 reset emails per hour
+  store: createStore('password-reset'),
+  message: {
+    success: false,
+    message: 'Too many password reset requests, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Rate limiter for creating listings
 export const createListingLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 10, // Limit to 10 listings per hour
+  store: createStore('create-listing'),
   message: {
     success: false,
     message: 'Too many listings created, please try again later.',
@@ -41,10 +87,16 @@ export const createListingLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-// Rate limiter for sending messages
+// Message limit, shared by the REST route and the send-message socket event
+const MESSAGE_LIMIT_MAX = 20;
+const messageStore = createStore('message');
+
+// Rate limiter for sending messages (per sender)
 export const messageLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
-  max: 20, // 20 messages per minute
+  max: MESSAGE_LIMIT_MAX, // 20 messages per minute
+  store: messageStore,
+  keyGenerator: (req) => req.user?._id.toString() || ipKeyGenerator(req.ip),
   message: {
     success: false,
     message: 'Too many messages sent, please slow down.',
@@ -53,10 +105,18 @@ export const messageLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Count a message sent over the socket against the sender's messageLimiter budget
+// Returns false when the limit is exceeded
+export const consumeMessageLimit = async (userId) => {
+  const { totalHits } = await messageStore.increment(userId.toString());
+  return totalHits <= MESSAGE_LIMIT_MAX;
+};
+
 // Rate limiter for image uploads
 export const uploadLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 50, // 50 uploads per hour
+  store: createStore('upload'),
   message: {
     success: false,
     message: 'Too many uploads, please try again later.',
@@ -69,6 +129,7 @@ export const uploadLimiter = rateLimit({
 export const searchLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 30, // 30 searches per minute
+  store: createStore('search'),
   message: {
     success: false,
     message: 'Too many search requests, please slow down.',
@@ -77,11 +138,29 @@ export const searchLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiter for reports (per reporter)
+export const reportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // 10 reports per hour
+  store: createStore('report'),
+  keyGenerator: (req) => req.user?._id.toString() || ipKeyGenerator(req.ip),
+  message: {
+    success: false,
+    message: 'Too many reports submitted, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 export default {
   rateLimiter,
   authLimiter,
+  verificationEmailLimiter,
+  passwordResetLimiter,
   createListingLimiter,
   messageLimiter,
+  consumeMessageLimit,
   uploadLimiter,
   searchLimiter,
+  reportLimiter,
 };
\ No newline at end of file
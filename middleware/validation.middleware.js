@@ -1,4 +1,13 @@
 import { body, param, query, validationResult } from 'express-validator';
+import University from '../models/University.model.js';
+import { REPORT_REASONS, REPORT_ACTIONS } from '../models/Report.model.js';
+import { DISPUTE_OUTCOMES } from '../models/Order.model.js';
+
+const formatErrors = (errors) =>
+  errors.array().map((err) => ({
+    field: err.path,
+    message: err.msg,
+  }));
 
 // Validation result handler
 export const validate = (req, res, next) => {
@@ -7,15 +16,27 @@ export const validate = (req, res, next) => {
     return res.status(400).json({
       success: false,
       message: 'Validation failed',
-      errors: errors.array().map((err) => ({
-        field: err.path,
-        message: err.msg,
-      })),
+      errors: formatErrors(errors),
     });
   }
   next();
 };
 
+// Run body validation rules outside Express (e.g. on a Socket.IO payload)
+// Returns the sanitized body and the errors (null when valid)
+export const runValidation = async (rules, data) => {
+  const req = { body: { ...data } };
+
+  for (const rule of rules) {
+    if (typeof rule.run === 'function') {
+      await rule.run(req);
+    }
+  }
+
+  const errors = validationResult(req);
+  return { data: req.body, errors: errors.isEmpty() ? null : formatErrors(errors) };
+};
+
 // User validation rules
 export const registerValidation = [
   body('name')
@@ -30,7 +51,15 @@ export const registerValidation = [
     .withMessage('Email is required')
     .isEmail()
     .withMessage('Please provide a valid email')
-    .normalizeEmail(),
+    .normalizeEmail()
+    .bail()
+    .custom(async (email) => {
+      const university = await University.findByEmail(email);
+      if (!university) {
+        throw new Error('Please register with your university email address');
+      }
+      return true;
+    }),
   body('password')
     .notEmpty()
     .withMessage('Password is required')
@@ -42,7 +71,15 @@ export const registerValidation = [
     .optional()
     .trim()
     .isLength({ max: 100 })
-    .withMessage('University name too long'),
+    .withMessage('University name too long')
+    .bail()
+    .custom(async (name) => {
+      const university = await University.findByName(name);
+      if (!university) {
+        throw new Error('Unknown university');
+      }
+      return true;
+    }),
   body('campus')
     .optional()
     .trim()
@@ -65,6 +102,55 @@ export const loginValidation = [
   validate,
 ];
 
+export const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  validate,
+];
+
+export const resetPasswordValidation = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid reset token'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  validate,
+];
+
+export const twoFactorCodeValidation = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required')
+    .isLength({ max: 20 })
+    .withMessage('Invalid verification code'),
+  validate,
+];
+
+export const twoFactorLoginValidation = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required')
+    .isLength({ max: 20 })
+    .withMessage('Invalid verification code'),
+  validate,
+];
+
 export const updateProfileValidation = [
   body('name')
     .optional()
@@ -91,6 +177,67 @@ export const updateProfileValidation = [
     .trim()
     .isLength({ max: 500 })
     .withMessage('Bio cannot exceed 500 characters'),
+  body('privacy.showOnlineStatus')
+    .optional()
+    .isBoolean()
+    .withMessage('showOnlineStatus must be true or false')
+    .toBoolean(),
+  validate,
+];
+
+// University validation rules
+export const universityValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('University name is required')
+    .isLength({ max: 100 })
+    .withMessage('University name too long'),
+  body('aliases')
+    .optional()
+    .isArray()
+    .withMessage('Aliases must be an array'),
+  body('campuses')
+    .optional()
+    .isArray()
+    .withMessage('Campuses must be an array'),
+  body('emailDomains')
+    .isArray({ min: 1 })
+    .withMessage('At least one email domain is required'),
+  body('emailDomains.*')
+    .trim()
+    .isFQDN()
+    .withMessage('Invalid email domain'),
+  validate,
+];
+
+export const updateUniversityValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('University name must be between 1 and 100 characters'),
+  body('aliases')
+    .optional()
+    .isArray()
+    .withMessage('Aliases must be an array'),
+  body('campuses')
+    .optional()
+    .isArray()
+    .withMessage('Campuses must be an array'),
+  body('emailDomains')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one email domain is required'),
+  body('emailDomains.*')
+    .optional()
+    .trim()
+    .isFQDN()
+    .withMessage('Invalid email domain'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
   validate,
 ];
 
@@ -188,6 +335,61 @@ export const sendMessageValidation = [
     .optional()
     .isIn(['text', 'image', 'offer'])
     .withMessage('Invalid message type'),
+  body('offer.amount')
+    .if(body('type').equals('offer'))
+    .notEmpty()
+    .withMessage('Offer amount is required')
+    .isFloat({ min: 0 })
+    .withMessage('Offer amount must be a positive number'),
+  // Client-generated id - resending the same id returns the stored message instead of a duplicate
+  body('clientMessageId')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Client message ID must be between 1 and 64 characters'),
+  validate,
+];
+
+export const respondToOfferValidation = [
+  body('status')
+    .notEmpty()
+    .withMessage('Status is required')
+    .isIn(['accepted', 'rejected', 'countered'])
+    .withMessage('Invalid status. Use "accepted", "rejected" or "countered"'),
+  body('amount')
+    .if(body('status').equals('countered'))
+    .notEmpty()
+    .withMessage('Counter-offer amount is required')
+    .isFloat({ min: 0 })
+    .withMessage('Counter-offer amount must be a positive number')
+    .toFloat(),
+  body('content')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Message cannot exceed 2000 characters'),
+  validate,
+];
+
+export const messagePageValidation = [
+  query('before')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+  query('after')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+  query('after')
+    .if(query('before').exists())
+    .not()
+    .exists()
+    .withMessage('Use either "before" or "after", not both'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
   validate,
 ];
 
@@ -198,9 +400,12 @@ export const createOrderValidation = [
     .withMessage('Listing ID is required')
     .isMongoId()
     .withMessage('Invalid listing ID'),
+  body('offerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid offer ID'),
   body('finalPrice')
-    .notEmpty()
-    .withMessage('Final price is required')
+    .optional()
     .isFloat({ min: 0 })
     .withMessage('Final price must be a positive number'),
   body('meetupDetails.location')
@@ -219,7 +424,7 @@ export const updateOrderStatusValidation = [
   body('status')
     .notEmpty()
     .withMessage('Status is required')
-    .isIn(['pending', 'confirmed', 'meetup-scheduled', 'in-progress', 'completed', 'cancelled', 'disputed'])
+    .isIn(['pending', 'confirmed', 'meetup-scheduled', 'in-progress', 'completed', 'cancelled'])
     .withMessage('Invalid status'),
   body('note')
     .optional()
@@ -243,6 +448,261 @@ export const addRatingValidation = [
   validate,
 ];
 
+// Uploaded images backing a report or dispute statement
+const evidenceValidation = [
+  body('evidence')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Maximum 5 evidence items allowed'),
+  body('evidence.*.url')
+    .isURL()
+    .withMessage('Evidence must be a valid URL'),
+  body('evidence.*.publicId')
+    .optional()
+    .isString()
+    .withMessage('Invalid evidence public ID'),
+];
+
+// Dispute validation
+export const disputeValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Dispute reason is required')
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Reason must be between 10 and 2000 characters'),
+  ...evidenceValidation,
+  validate,
+];
+
+export const disputeStatementValidation = [
+  body('content')
+    .trim()
+    .notEmpty()
+    .withMessage('Statement is required')
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Statement must be between 10 and 2000 characters'),
+  ...evidenceValidation,
+  validate,
+];
+
+export const resolveDisputeValidation = [
+  body('outcome')
+    .notEmpty()
+    .withMessage('Outcome is required')
+    .isIn(Object.keys(DISPUTE_OUTCOMES))
+    .withMessage('Invalid outcome'),
+  body('resolution')
+    .trim()
+    .notEmpty()
+    .withMessage('Resolution is required')
+    .isLength({ max: 1000 })
+    .withMessage('Resolution cannot exceed 1000 characters'),
+  validate,
+];
+
+// Review validation
+export const reviewReplyValidation = [
+  body('text')
+    .trim()
+    .notEmpty()
+    .withMessage('Reply is required')
+    .isLength({ max: 500 })
+    .withMessage('Reply cannot exceed 500 characters'),
+  validate,
+];
+
+export const moderateReviewValidation = [
+  body('status')
+    .notEmpty()
+    .withMessage('Status is required')
+    .isIn(['published', 'hidden'])
+    .withMessage('Invalid status'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  validate,
+];
+
+// Report validation
+export const reportValidation = [
+  body('reason')
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isIn(REPORT_REASONS)
+    .withMessage('Invalid reason'),
+  body('description')
+    .trim()
+    .notEmpty()
+    .withMessage('Description is required')
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Description must be between 10 and 1000 characters'),
+  ...evidenceValidation,
+  validate,
+];
+
+export const triageReportValidation = [
+  body('priority')
+    .notEmpty()
+    .withMessage('Priority is required')
+    .isIn(['low', 'normal', 'high'])
+    .withMessage('Invalid priority'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot exceed 1000 characters'),
+  validate,
+];
+
+export const assignReportValidation = [
+  body('assignee')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid assignee ID'),
+  validate,
+];
+
+export const resolveReportValidation = [
+  body('action')
+    .notEmpty()
+    .withMessage('Action is required')
+    .isIn(REPORT_ACTIONS)
+    .withMessage('Invalid action'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot exceed 1000 characters'),
+  validate,
+];
+
+// Admin validation
+export const suspendUserValidation = [
+  body('hours')
+    .notEmpty()
+    .withMessage('Suspension length is required')
+    .isInt({ min: 1, max: 8760 })
+    .withMessage('Suspension must be between 1 hour and 1 year'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  validate,
+];
+
+export const banUserValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  validate,
+];
+
+export const moderationNoteValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  validate,
+];
+
+export const changeRoleValidation = [
+  body('role')
+    .notEmpty()
+    .withMessage('Role is required')
+    .isIn(['student', 'admin'])
+    .withMessage('Invalid role'),
+  validate,
+];
+
+export const moderationReasonValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  validate,
+];
+
+// Featured-until date must be in the future
+const isFutureDate = (value) => {
+  if (new Date(value) <= new Date()) {
+    throw new Error('Featured until date must be in the future');
+  }
+  return true;
+};
+
+export const featureListingValidation = [
+  body('featured')
+    .isBoolean()
+    .withMessage('featured must be a boolean')
+    .toBoolean(true),
+  body('until')
+    .if(body('featured').equals('true'))
+    .notEmpty()
+    .withMessage('Featured until date is required')
+    .isISO8601()
+    .withMessage('Invalid date format')
+    .custom(isFutureDate),
+  validate,
+];
+
+export const bulkListingValidation = [
+  body('action')
+    .isIn(['takedown', 'restore', 'feature', 'unfeature'])
+    .withMessage('Invalid action'),
+  body('filter')
+    .isObject()
+    .withMessage('Filter is required'),
+  body('filter.ids')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('ids must be an array of at most 500 listing IDs'),
+  body('filter.ids.*')
+    .isMongoId()
+    .withMessage('Invalid listing ID'),
+  body('filter.seller')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid seller ID'),
+  body('filter.status')
+    .optional()
+    .isIn(['active', 'sold', 'reserved', 'inactive', 'removed'])
+    .withMessage('Invalid status'),
+  body('filter.createdAfter')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  body('filter.createdBefore')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  body('reason')
+    .if(body('action').equals('takedown'))
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required for takedowns')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  body('until')
+    .if(body('action').equals('feature'))
+    .notEmpty()
+    .withMessage('Featured until date is required')
+    .isISO8601()
+    .withMessage('Invalid date format')
+    .custom(isFutureDate),
+  validate,
+];
+
 // Query validation
 export const searchValidation = [
   query('q')
@@ -281,17 +741,53 @@ export const mongoIdValidation = [
   validate,
 ];
 
+export const chatMessageIdValidation = [
+  param('chatId')
+    .isMongoId()
+    .withMessage('Invalid chat ID format'),
+  param('messageId')
+    .isMongoId()
+    .withMessage('Invalid message ID format'),
+  validate,
+];
+
 export default {
   validate,
+  runValidation,
   registerValidation,
   loginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
   updateProfileValidation,
+  universityValidation,
+  updateUniversityValidation,
   createListingValidation,
   updateListingValidation,
   sendMessageValidation,
+  respondToOfferValidation,
+  messagePageValidation,
   createOrderValidation,
   updateOrderStatusValidation,
   addRatingValidation,
+  disputeValidation,
+  disputeStatementValidation,
+  resolveDisputeValidation,
+  reviewReplyValidation,
+  moderateReviewValidation,
+  reportValidation,
+  triageReportValidation,
+  assignReportValidation,
+  resolveReportValidation,
+  suspendUserValidation,
+  banUserValidation,
+  moderationNoteValidation,
+  changeRoleValidation,
+  moderationReasonValidation,
+  featureListingValidation,
+  bulkListingValidation,
   searchValidation,
   mongoIdValidation,
+  chatMessageIdValidation,
 };
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * Create Review documents for ratings stored on orders before reviews had their own collection.
+ * Safe to run more than once - existing reviews are left untouched.
+ *
+ * Usage: node migrations/backfill-reviews.js
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Order from '../models/Order.model.js';
+import Review from '../models/Review.model.js';
+
+dotenv.config();
+
+// Order rating field, the reviewer's side and who they rated
+const RATING_SIDES = [
+  { field: 'buyerRating', reviewerRole: 'buyer', reviewer: 'buyer', reviewee: 'seller' },
+  { field: 'sellerRating', reviewerRole: 'seller', reviewer: 'seller', reviewee: 'buyer' },
+];
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const cursor = Order.find({
+    $or: RATING_SIDES.map(({ field }) => ({ [`rating.${field}.score`]: { $exists: true } })),
+  })
+    .select('buyer seller listing rating')
+    .lean()
+    .cursor();
+
+  let created = 0;
+
+  for await (const order of cursor) {
+    for (const side of RATING_SIDES) {
+      const rating = order.rating?.[side.field];
+      if (!rating?.score) continue;
+
+      const createdAt = rating.createdAt || new Date();
+      const result = await Review.updateOne(
+        { order: order._id, reviewer: order[side.reviewer] },
+        {
+          $setOnInsert: {
+            listing: order.listing,
+            reviewee: order[side.reviewee],
+            reviewerRole: side.reviewerRole,
+            score: rating.score,
+            text: rating.review,
+            status: 'published',
+            createdAt,
+            updatedAt: createdAt,
+          },
+        },
+        { upsert: true, timestamps: false }
+      );
+      created += result.upsertedCount;
+    }
+  }
+
+  console.log(`Backfilled ${created} reviews`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Review backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,88 @@
+/**
+ * Move messages embedded in chat documents (chats.messages) into the messages collection.
+ * Message ids, timestamps and read state are kept, so reports and orders that point at a
+ * message id still resolve. Safe to re-run: a chat's array is only removed once all of its
+ * messages are stored. Pending offers get an expiry (sent time + OFFER_EXPIRY_HOURS) so the
+ * offer expiry job closes them.
+ *
+ * Usage: node migrations/move-chat-messages.js
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Chat, { getOfferTtlMs } from '../models/Chat.model.js';
+import Message from '../models/Message.model.js';
+
+dotenv.config();
+
+const DUPLICATE_KEY = 11000;
+
+// Copy a chat's embedded messages, skipping any already moved by an earlier run
+const moveMessages = async (chat) => {
+  const messages = chat.messages.map(({ offer, ...message }) => ({
+    ...message,
+    // The embedded schema defaulted offer.status on every message, not just offers
+    ...(message.type === 'offer' && { offer }),
+    chat: chat._id,
+  }));
+
+  try {
+    await Message.collection.insertMany(messages, { ordered: false });
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    const onlyDuplicates =
+      writeErrors.length > 0 && writeErrors.every((writeError) => writeError.code === DUPLICATE_KEY);
+    if (!onlyDuplicates) throw error;
+  }
+
+  const stored = await Message.countDocuments({ _id: { $in: messages.map((message) => message._id) } });
+  if (stored !== messages.length) {
+    throw new Error(`Chat ${chat._id}: stored ${stored} of ${messages.length} messages`);
+  }
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Message.syncIndexes();
+
+  // Raw documents - the Chat schema no longer knows about the array
+  const cursor = Chat.collection.find(
+    { messages: { $exists: true } },
+    { projection: { messages: 1 } }
+  );
+
+  let chats = 0;
+  let moved = 0;
+
+  for await (const chat of cursor) {
+    if (chat.messages.length > 0) {
+      await moveMessages(chat);
+    }
+
+    await Chat.collection.updateOne({ _id: chat._id }, { $unset: { messages: '' } });
+    chats += 1;
+    moved += chat.messages.length;
+  }
+
+  console.log(`Moved ${moved} messages out of ${chats} chats`);
+
+  // Legacy offers had no expiry - without one they would stay pending forever
+  const { modifiedCount } = await Message.updateMany(
+    { type: 'offer', 'offer.status': 'pending', 'offer.expiresAt': { $exists: false } },
+    [
+      {
+        $set: {
+          'offer.expiresAt': { $add: [{ $ifNull: ['$createdAt', '$$NOW'] }, getOfferTtlMs()] },
+        },
+      },
+    ]
+  );
+
+  console.log(`Set an expiry on ${modifiedCount} pending offers`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Message migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,101 @@
+/**
+ * Recompute every user's seller and buyer reputation from their published reviews.
+ * Run after backfill-reviews.js, and whenever the recency weighting constants change.
+ *
+ * Usage: node migrations/rebuild-reputation.js
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User, { REPUTATION_EPOCH, REPUTATION_HALF_LIFE_MS } from '../models/User.model.js';
+import Review from '../models/Review.model.js';
+
+dotenv.config();
+
+const STARS = [1, 2, 3, 4, 5];
+
+const emptySide = () => ({
+  count: 0,
+  sum: 0,
+  average: 0,
+  recentAverage: 0,
+  histogram: Object.fromEntries(STARS.map((star) => [star, 0])),
+  weightedSum: 0,
+  weightTotal: 0,
+});
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Same weight as User.applyRating, computed in the database
+  const weight = {
+    $pow: [
+      2,
+      {
+        $divide: [{ $subtract: ['$createdAt', new Date(REPUTATION_EPOCH)] }, REPUTATION_HALF_LIFE_MS],
+      },
+    ],
+  };
+
+  const cursor = Review.aggregate([
+    { $match: { status: 'published' } },
+    {
+      $group: {
+        _id: '$reviewee',
+        sides: {
+          $push: { reviewerRole: '$reviewerRole', score: '$score', weight },
+        },
+      },
+    },
+  ]).cursor();
+
+  // Start everyone from zero - users with published reviews are filled in below
+  await User.updateMany(
+    {},
+    {
+      reputation: { seller: emptySide(), buyer: emptySide() },
+      rating: { count: 0, average: 0 },
+    },
+    { timestamps: false }
+  );
+
+  let rated = 0;
+
+  for await (const { _id, sides } of cursor) {
+    const reputation = { seller: emptySide(), buyer: emptySide() };
+
+    sides.forEach(({ reviewerRole, score, weight: ratingWeight }) => {
+      const side = reputation[reviewerRole === 'buyer' ? 'seller' : 'buyer'];
+      side.count += 1;
+      side.sum += score;
+      side.histogram[score] += 1;
+      side.weightedSum += score * ratingWeight;
+      side.weightTotal += ratingWeight;
+    });
+
+    Object.values(reputation).forEach((side) => {
+      side.average = side.count > 0 ? round(side.sum / side.count) : 0;
+      side.recentAverage = side.count > 0 ? round(side.weightedSum / side.weightTotal) : 0;
+    });
+
+    const count = reputation.seller.count + reputation.buyer.count;
+    const sum = reputation.seller.sum + reputation.buyer.sum;
+
+    await User.updateOne(
+      { _id },
+      { reputation, rating: { count, average: count > 0 ? round(sum / count) : 0 } },
+      { timestamps: false }
+    );
+    rated += 1;
+  }
+
+  console.log(`Rebuilt reputation for ${rated} rated users`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Reputation rebuild failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+const adminAuditLogSchema = new mongoose.Schema(
+  {
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true,
+      enum: [
+        'user.view',
+        'user.suspend',
+        'user.ban',
+        'user.restore',
+        'user.role-change',
+        'listing.edit',
+        'listing.takedown',
+        'listing.restore',
+        'listing.feature',
+        'listing.unfeature',
+        'report.triage',
+        'report.assign',
+        'report.resolve',
+        'dispute.review',
+        'dispute.resolve',
+        'review.moderate',
+      ],
+    },
+    targetType: {
+      type: String,
+      required: true,
+      enum: ['user', 'listing', 'report', 'order', 'review'],
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Action specific data (reason, previous and new values, ...)
+    details: mongoose.Schema.Types.Mixed,
+    ip: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+adminAuditLogSchema.index({ admin: 1, createdAt: -1 });
+adminAuditLogSchema.index({ targetId: 1, createdAt: -1 });
+adminAuditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are append-only
+const immutableError = () => new Error('Admin audit log entries cannot be modified or deleted');
+
+adminAuditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(immutableError());
+  }
+  next();
+});
+
+adminAuditLogSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  { document: false, query: true },
+  function (next) {
+    next(immutableError());
+  }
+);
+
+adminAuditLogSchema.pre('deleteOne', { document: true, query: false }, function (next) {
+  next(immutableError());
+});
+
+const AdminAuditLog = mongoose.model('AdminAuditLog', adminAuditLogSchema);
+
+export default AdminAuditLog;
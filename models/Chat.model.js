@@ -1,45 +1,8 @@
 import mongoose from 'mongoose';
 
-const messageSchema = new mongoose.Schema(
-  {
-    sender: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true,
-    },
-    content: {
-      type: String,
-      required: [true, 'Message content is required'],
-      trim: true,
-      maxlength: [2000, 'Message cannot exceed 2000 characters'],
-    },
-    type: {
-      type: String,
-      enum: ['text', 'image', 'offer'],
-      default: 'text',
-    },
-    image: {
-      url: String,
-      publicId: String,
-    },
-    offer: {
-      amount: Number,
-      status: {
-        type: String,
-        enum: ['pending', 'accepted', 'rejected', 'withdrawn'],
-        default: 'pending',
-      },
-    },
-    isRead: {
-      type: Boolean,
-      default: false,
-    },
-    readAt: Date,
-  },
-  {
-    timestamps: true,
-  }
-);
+// How long an offer can be responded to before it expires (read on use, after .env is loaded)
+export const getOfferTtlMs = () =>
+  (Number(process.env.OFFER_EXPIRY_HOURS) || 48) * 60 * 60 * 1000; // 48 hours
 
 const chatSchema = new mongoose.Schema(
   {
@@ -55,7 +18,6 @@ const chatSchema = new mongoose.Schema(
       ref: 'Listing',
       required: true,
     },
-    messages: [messageSchema],
     lastMessage: {
       content: String,
       sender: {
@@ -98,44 +60,38 @@ chatSchema.pre('save', function (next) {
   next();
 });
 
-// Update last message
-chatSchema.methods.updateLastMessage = function (message) {
+// Record a new message as the chat's preview and count it as unread for the recipient
+chatSchema.methods.recordMessage = function (message, recipientId) {
   this.lastMessage = {
     content: message.content.substring(0, 100), // Truncate for preview
     sender: message.sender,
     createdAt: message.createdAt,
   };
-  return this.save({ validateBeforeSave: false });
-};
 
-// Increment unread count for recipient
-chatSchema.methods.incrementUnread = function (recipientId) {
-  const currentCount = this.unreadCount.get(recipientId.toString()) || 0;
-  this.unreadCount.set(recipientId.toString(), currentCount + 1);
-  return this.save({ validateBeforeSave: false });
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { lastMessage: this.lastMessage },
+      $inc: { [`unreadCount.${recipientId}`]: 1 },
+    }
+  );
 };
 
-// Mark messages as read
-chatSchema.methods.markAsRead = function (userId) {
+// Mark messages from the other participant as read
+chatSchema.methods.markAsRead = async function (userId) {
   const now = new Date();
-  let hasUnread = false;
-
-  this.messages.forEach((message) => {
-    if (
-      !message.isRead &&
-      message.sender.toString() !== userId.toString()
-    ) {
-      message.isRead = true;
-      message.readAt = now;
-      hasUnread = true;
-    }
-  });
 
-  if (hasUnread) {
-    this.unreadCount.set(userId.toString(), 0);
-  }
+  await mongoose.model('Message').updateMany(
+    { chat: this._id, sender: { $ne: userId }, isRead: false },
+    { $set: { isRead: true, readAt: now } }
+  );
 
-  return this.save({ validateBeforeSave: false });
+  this.unreadCount.set(userId.toString(), 0);
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { [`unreadCount.${userId}`]: 0 } },
+    { timestamps: false }
+  );
 };
 
 // Check if user is participant
@@ -152,13 +108,31 @@ chatSchema.methods.isBlockedBy = function (userId) {
   );
 };
 
+// Get the participant an offer was made to
+chatSchema.methods.getOfferRecipient = function (message) {
+  return this.participants.find(
+    (participant) => participant.toString() !== message.sender.toString()
+  );
+};
+
+// Static method to get the users a user has an active, unblocked chat with
+chatSchema.statics.findCounterparties = async function (userId) {
+  const participants = await this.find({
+    participants: userId,
+    isActive: true,
+    blockedBy: { $size: 0 },
+  }).distinct('participants');
+
+  return participants.filter((participant) => participant.toString() !== userId.toString());
+};
+
 // Static method to find or create chat
 chatSchema.statics.findOrCreate = async function (buyerId, sellerId, listingId) {
   let chat = await this.findOne({
     participants: { $all: [buyerId, sellerId] },
     listing: listingId,
   })
-    .populate('participants', 'name avatar lastActive')
+    .populate('participants', 'name avatar lastActive privacy.showOnlineStatus')
     .populate('listing', 'title price images status');
 
   if (!chat) {
@@ -171,7 +145,7 @@ chatSchema.statics.findOrCreate = async function (buyerId, sellerId, listingId)
       },
     });
 
-    chat = await chat.populate('participants', 'name avatar lastActive');
+    chat = await chat.populate('participants', 'name avatar lastActive privacy.showOnlineStatus');
     chat = await chat.populate('listing', 'title price images status');
   }
 
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'completed', 'failed'],
+      default: 'queued',
+    },
+    // Generated archive in the dataExports GridFS bucket
+    fileId: {
+      type: mongoose.Schema.Types.ObjectId,
+      select: false,
+    },
+    fileSize: Number,
+    error: String,
+    startedAt: Date,
+    completedAt: Date,
+    // Download link stops working after this date
+    expiresAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1 });
+
+// Check if archive can be downloaded
+dataExportSchema.methods.isDownloadable = function () {
+  return this.status === 'completed' && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+export default DataExport;
@@ -73,9 +73,19 @@ const listingSchema = new mongoose.Schema(
     ],
     status: {
       type: String,
-      enum: ['active', 'sold', 'reserved', 'inactive'],
+      enum: ['active', 'sold', 'reserved', 'inactive', 'removed'], // removed = taken down by an admin
       default: 'active',
     },
+    // Set while the listing is taken down (reason is shown to the seller)
+    takedown: {
+      reason: String,
+      previousStatus: String,
+      at: Date,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
     views: {
       type: Number,
       default: 0,
@@ -92,6 +102,7 @@ const listingSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    featuredUntil: Date,
     expiresAt: {
       type: Date,
       default: () => new Date(Date.now() + 90 * 24 * 60 * 60 * 1000), // 90 days
@@ -167,6 +178,25 @@ listingSchema.pre('save', function (next) {
   next();
 });
 
+// Take listing down (caller saves)
+listingSchema.methods.takeDown = function (reason, adminId) {
+  this.takedown = {
+    reason,
+    previousStatus: this.status,
+    at: new Date(),
+    by: adminId,
+  };
+  this.status = 'removed';
+  this.isFeatured = false;
+  this.featuredUntil = undefined;
+};
+
+// Restore a taken down listing to its previous status (caller saves)
+listingSchema.methods.restoreFromTakedown = function () {
+  this.status = this.takedown?.previousStatus || 'inactive';
+  this.takedown = undefined;
+};
+
 // Static method to get active listings by category
 listingSchema.statics.getActiveByCategory = function (category, limit = 20) {
   return this.find({ category, status: 'active' })
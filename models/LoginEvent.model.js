@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+const loginEventSchema = new mongoose.Schema(
+  {
+    // Not set when the email doesn't belong to any account
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    ip: String,
+    userAgent: String,
+    method: {
+      type: String,
+      enum: ['password', 'google', '2fa'],
+      default: 'password',
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    failureReason: {
+      type: String,
+      enum: [
+        'unknown-user',
+        'invalid-password',
+        'account-locked',
+        'account-deactivated',
+        'account-restricted',
+        'invalid-2fa-code',
+      ],
+    },
+    // Successful login from an IP and device never seen before for this user
+    suspicious: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 }); // Keep 180 days
+
+// Static method to check if a successful login looks unfamiliar
+loginEventSchema.statics.isUnfamiliar = async function (userId, { ip, userAgent }) {
+  const previous = await this.find({ user: userId, success: true })
+    .sort({ createdAt: -1 })
+    .limit(50)
+    .select('ip userAgent');
+
+  // First login is never suspicious
+  if (previous.length === 0) return false;
+
+  return !previous.some((event) => event.ip === ip || event.userAgent === userAgent);
+};
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+
+export default LoginEvent;
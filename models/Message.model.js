@@ -0,0 +1,188 @@
+import mongoose from 'mongoose';
+import Chat from './Chat.model.js';
+
+// Default and maximum number of messages per history page
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const messageSchema = new mongoose.Schema(
+  {
+    chat: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Chat',
+      required: true,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    content: {
+      type: String,
+      required: [true, 'Message content is required'],
+      trim: true,
+      maxlength: [2000, 'Message cannot exceed 2000 characters'],
+    },
+    type: {
+      type: String,
+      enum: ['text', 'image', 'offer'],
+      default: 'text',
+    },
+    image: {
+      url: String,
+      publicId: String,
+    },
+    offer: {
+      amount: Number,
+      status: {
+        type: String,
+        enum: [
+          'pending',
+          'accepted',
+          'rejected',
+          'withdrawn',
+          'countered', // Replaced by a counter-offer from the other party
+          'expired',
+          'superseded', // Another offer on the listing was accepted
+        ],
+      },
+      // Offer this one counters
+      counterTo: mongoose.Schema.Types.ObjectId,
+      expiresAt: Date,
+      // When the offer stopped being pending
+      closedAt: Date,
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: Date,
+    // Client-generated id used to ignore resends of the same message
+    clientMessageId: String,
+    // Set when a moderator removes the message after a report
+    removedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+messageSchema.index({ chat: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ chat: 1, isRead: 1, sender: 1 });
+messageSchema.index({ sender: 1, createdAt: 1 });
+messageSchema.index(
+  { chat: 1, sender: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $exists: true } } }
+);
+messageSchema.index(
+  { 'offer.status': 1, 'offer.expiresAt': 1 },
+  { partialFilterExpression: { type: 'offer' } }
+);
+
+// Check if message is an offer still waiting for a response
+messageSchema.methods.isPendingOffer = function () {
+  return this.type === 'offer' && this.offer?.status === 'pending';
+};
+
+// Check if a pending offer has passed its expiry
+messageSchema.methods.isOfferExpired = function () {
+  return this.isPendingOffer() && this.offer.expiresAt <= new Date();
+};
+
+// Static method to get a page of a chat's history, oldest first
+// before/after are message ids; returns null if the cursor message isn't in the chat
+messageSchema.statics.findPage = async function (chatId, { before, after, limit } = {}) {
+  const size = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const query = { chat: chatId };
+  let sort = { createdAt: -1, _id: -1 };
+
+  const cursorId = before || after;
+  if (cursorId) {
+    const cursor = await this.findOne({ _id: cursorId, chat: chatId }).select('createdAt');
+    if (!cursor) return null;
+
+    // Messages sharing a timestamp are ordered by id
+    const op = before ? '$lt' : '$gt';
+    query.$or = [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor._id } },
+    ];
+    if (after) sort = { createdAt: 1, _id: 1 };
+  }
+
+  const messages = await this.find(query)
+    .sort(sort)
+    .limit(size + 1)
+    .populate('sender', 'name avatar');
+
+  const hasMore = messages.length > size;
+  const page = messages.slice(0, size);
+  if (!after) page.reverse();
+
+  return { messages: page, hasMore, limit: size };
+};
+
+// Static method to close pending offers with a final status
+// Offers that were answered in the meantime are left alone
+messageSchema.statics.closePendingOffers = function (messageIds, status) {
+  return this.updateMany(
+    { _id: { $in: messageIds }, type: 'offer', 'offer.status': 'pending' },
+    { $set: { 'offer.status': status, 'offer.closedAt': new Date() } }
+  );
+};
+
+// Close pending offers matched by a query, grouped by chat
+// Returns [{ chatId, participants, messageIds }] for notifications
+const closeMatchingOffers = async (Message, query, status) => {
+  const offers = await Message.find({ ...query, type: 'offer', 'offer.status': 'pending' }).select(
+    'chat'
+  );
+  if (offers.length === 0) return [];
+
+  await Message.closePendingOffers(
+    offers.map((offer) => offer._id),
+    status
+  );
+
+  const chats = await Chat.find({ _id: { $in: offers.map((offer) => offer.chat) } }).select(
+    'participants'
+  );
+
+  return chats.map((chat) => ({
+    chatId: chat._id,
+    participants: chat.participants,
+    messageIds: offers.filter((offer) => offer.chat.equals(chat._id)).map((offer) => offer._id),
+  }));
+};
+
+// Static method to supersede the other pending offers on a listing once one is accepted
+messageSchema.statics.supersedePendingOffers = async function (listingId, acceptedMessageId) {
+  const chatIds = await Chat.find({ listing: listingId }).distinct('_id');
+  return closeMatchingOffers(
+    this,
+    { chat: { $in: chatIds }, _id: { $ne: acceptedMessageId } },
+    'superseded'
+  );
+};
+
+// Static method to expire every pending offer past its expiry
+messageSchema.statics.expireDueOffers = function () {
+  return closeMatchingOffers(this, { 'offer.expiresAt': { $lte: new Date() } }, 'expired');
+};
+
+// Static method to find an accepted offer in a buyer's chat about a listing, by message id or amount
+messageSchema.statics.findAcceptedOffer = async function (listingId, buyerId, { offerId, amount }) {
+  const chatIds = await Chat.find({ listing: listingId, participants: buyerId }).distinct('_id');
+
+  return this.findOne({
+    chat: { $in: chatIds },
+    type: 'offer',
+    'offer.status': 'accepted',
+    ...(offerId ? { _id: offerId } : { 'offer.amount': amount }),
+  });
+};
+
+const Message = mongoose.model('Message', messageSchema);
+
+export default Message;
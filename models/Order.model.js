@@ -1,4 +1,15 @@
 import mongoose from 'mongoose';
+import Review from './Review.model.js';
+
+// How long both parties can rate a completed order before ratings are published and locked
+export const RATING_WINDOW_MS = 14 * 24 * 60 * 60 * 1000; // 14 days
+
+// Order and listing status applied by each dispute outcome
+export const DISPUTE_OUTCOMES = {
+  completed: { orderStatus: 'completed', listingStatus: 'sold' }, // Sale stands
+  cancelled: { orderStatus: 'cancelled', listingStatus: 'active' }, // Sale never happened
+  refunded: { orderStatus: 'refunded', listingStatus: 'inactive' }, // Money and item returned
+};
 
 const orderSchema = new mongoose.Schema(
   {
@@ -34,10 +45,19 @@ const orderSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Accepted offer amount when the order comes from a chat negotiation
     negotiatedPrice: {
       type: Number,
       min: 0,
     },
+    // Accepted offer message the order was created from
+    offer: {
+      chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat',
+      },
+      message: mongoose.Schema.Types.ObjectId,
+    },
     finalPrice: {
       type: Number,
       required: true,
@@ -53,6 +73,7 @@ const orderSchema = new mongoose.Schema(
         'completed',
         'cancelled',
         'disputed',
+        'refunded',
       ],
       default: 'pending',
     },
@@ -91,6 +112,10 @@ const orderSchema = new mongoose.Schema(
         review: String,
         createdAt: Date,
       },
+      // Ratings stay hidden from the other party until both are in or the window closes
+      windowClosesAt: Date,
+      // Set when ratings become visible - no ratings are accepted after this
+      publishedAt: Date,
     },
     cancellation: {
       cancelledBy: {
@@ -110,7 +135,54 @@ const orderSchema = new mongoose.Schema(
         type: String,
         enum: ['open', 'in-review', 'resolved'],
       },
-      resolution: String,
+      // Order status when the dispute was opened
+      previousStatus: String,
+      // Each party's side of the story
+      statements: [
+        {
+          author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+          },
+          role: {
+            type: String,
+            enum: ['buyer', 'seller'],
+          },
+          content: {
+            type: String,
+            maxlength: [2000, 'Statement cannot exceed 2000 characters'],
+          },
+          evidence: [
+            {
+              url: {
+                type: String,
+                required: true,
+              },
+              publicId: String,
+              _id: false,
+            },
+          ],
+          createdAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      reviewStartedAt: Date,
+      outcome: {
+        type: String,
+        enum: Object.keys(DISPUTE_OUTCOMES),
+      },
+      resolution: String, // Explanation shown to both parties
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      resolvedAt: Date,
       timestamp: Date,
     },
     notes: {
@@ -129,6 +201,8 @@ orderSchema.index({ seller: 1, status: 1 });
 orderSchema.index({ listing: 1 });
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ 'dispute.status': 1, 'dispute.timestamp': 1 });
+orderSchema.index({ status: 1, 'rating.windowClosesAt': 1 });
 
 // Pre-save middleware to generate order number
 orderSchema.pre('save', async function (next) {
@@ -140,6 +214,17 @@ orderSchema.pre('save', async function (next) {
   next();
 });
 
+// Open the rating window when the order completes
+orderSchema.pre('save', function (next) {
+  if (this.isModified('status') && this.status === 'completed' && !this.rating?.windowClosesAt) {
+    this.set('rating.windowClosesAt', new Date(Date.now() + RATING_WINDOW_MS));
+  }
+  next();
+});
+
+// Get a user id from a (possibly populated) reference
+const getRefId = (ref) => (ref?._id ?? ref).toString();
+
 // Update timeline
 orderSchema.methods.updateStatus = function (newStatus, note = '') {
   this.status = newStatus;
@@ -151,45 +236,125 @@ orderSchema.methods.updateStatus = function (newStatus, note = '') {
   return this.save();
 };
 
-// Add rating
+// Get when the rating window closes (orders completed before it existed get one from their completion)
+orderSchema.methods.getRatingWindowClosesAt = function () {
+  if (this.rating?.windowClosesAt) return this.rating.windowClosesAt;
+
+  const completed = this.timeline.filter((entry) => entry.status === 'completed').pop();
+  const completedAt = completed?.timestamp || this.updatedAt;
+  return new Date(completedAt.getTime() + RATING_WINDOW_MS);
+};
+
+// Add a blind rating - returns false if this party already rated or ratings are locked
 orderSchema.methods.addRating = async function (userId, score, review) {
-  const isBuyer = this.buyer.toString() === userId.toString();
-  const ratingField = isBuyer ? 'buyerRating' : 'sellerRating';
+  const role = this.getPartyRole(userId);
+  const ratingField = `rating.${role}Rating`;
+  const targetUser = role === 'buyer' ? this.seller : this.buyer;
 
-  this.rating[ratingField] = {
+  // Atomic so two ratings submitted together can't both miss each other
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      [`${ratingField}.score`]: { $exists: false },
+      'rating.publishedAt': { $exists: false },
+    },
+    {
+      $set: {
+        [ratingField]: { score, review, createdAt: new Date() },
+        'rating.windowClosesAt': this.getRatingWindowClosesAt(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!updated) return false;
+  this.rating = updated.rating;
+
+  // Review stays pending (not public, not counted) until ratings are published
+  await Review.create({
+    order: this._id,
+    listing: this.listing,
+    reviewer: userId,
+    reviewee: getRefId(targetUser),
+    reviewerRole: role,
     score,
-    review,
-    createdAt: new Date(),
-  };
+    text: review,
+    status: 'pending',
+  });
+
+  // Re-read in case ratings were published while the review was being created
+  const current = await this.constructor.findById(this._id).select('rating');
+  const { buyerRating, sellerRating, publishedAt } = current.rating;
+  if ((buyerRating?.score && sellerRating?.score) || publishedAt) {
+    await this.publishRatings();
+  }
+
+  return true;
+};
 
-  await this.save();
+// Publish both ratings and lock rating (safe to call more than once)
+orderSchema.methods.publishRatings = async function () {
+  await this.constructor.updateOne(
+    { _id: this._id, 'rating.publishedAt': { $exists: false } },
+    { $set: { 'rating.publishedAt': new Date() } }
+  );
 
-  // Update user's average rating
+  const current = await this.constructor.findById(this._id).select('rating');
+  this.rating = current.rating;
+
+  // Flipping each review atomically makes sure its rating is only counted once
   const User = mongoose.model('User');
-  const targetUser = isBuyer ? this.seller : this.buyer;
+  const pending = await Review.find({ order: this._id, status: 'pending' }).select('_id');
+  for (const { _id } of pending) {
+    const review = await Review.findOneAndUpdate(
+      { _id, status: 'pending' },
+      { status: 'published' },
+      { new: true }
+    );
+    if (review) {
+      await User.applyRating(
+        review.reviewee,
+        review.getRevieweeRole(),
+        review.score,
+        review.createdAt
+      );
+    }
+  }
+};
 
-  const orders = await this.constructor.find({
-    [isBuyer ? 'seller' : 'buyer']: targetUser,
-    status: 'completed',
-    [`rating.${isBuyer ? 'buyerRating' : 'sellerRating'}.score`]: { $exists: true },
-  });
+// Get the rating state of the order as seen by a user
+orderSchema.methods.getRatingState = function (userId) {
+  const role = this.getPartyRole(userId);
+  const published = Boolean(this.rating?.publishedAt);
+  const windowClosesAt = this.getRatingWindowClosesAt();
+  const submitted = {
+    buyer: Boolean(this.rating?.buyerRating?.score),
+    seller: Boolean(this.rating?.sellerRating?.score),
+  };
 
-  const totalRatings = orders.length;
-  const sumRatings = orders.reduce((sum, order) => {
-    const rating = isBuyer
-      ? order.rating.buyerRating?.score
-      : order.rating.sellerRating?.score;
-    return sum + (rating || 0);
-  }, 0);
+  return {
+    windowClosesAt,
+    published,
+    publishedAt: this.rating?.publishedAt,
+    buyerSubmitted: submitted.buyer,
+    sellerSubmitted: submitted.seller,
+    // Waiting for the other party (or the window) before anything is shown
+    pending: !published && (submitted.buyer || submitted.seller),
+    canRate: Boolean(role) && !submitted[role] && this.canBeRated(),
+  };
+};
 
-  const averageRating = totalRatings > 0 ? sumRatings / totalRatings : 0;
+// Static method to remove the other party's unpublished rating from an order
+// (plain object, e.g. from toJSON or lean) before showing it to a buyer or seller
+orderSchema.statics.hideUnpublishedRating = function (order, viewerId) {
+  if (!order.rating || order.rating.publishedAt) return order;
 
-  await User.findByIdAndUpdate(targetUser, {
-    'rating.average': averageRating,
-    'rating.count': totalRatings,
-  });
+  const viewer = viewerId.toString();
+  const hidden = { ...order.rating };
+  if (getRefId(order.buyer) === viewer) delete hidden.sellerRating;
+  if (getRefId(order.seller) === viewer) delete hidden.buyerRating;
 
-  return this;
+  return { ...order, rating: hidden };
 };
 
 // Cancel order
@@ -208,13 +373,31 @@ orderSchema.methods.cancel = function (userId, reason) {
   return this.save();
 };
 
+// Get whether a user is the buyer or seller of this order (null if neither)
+orderSchema.methods.getPartyRole = function (userId) {
+  const id = userId.toString();
+  if (getRefId(this.buyer) === id) return 'buyer';
+  if (getRefId(this.seller) === id) return 'seller';
+  return null;
+};
+
 // Initiate dispute
-orderSchema.methods.initiateDispute = function (userId, reason) {
+orderSchema.methods.initiateDispute = function (userId, reason, evidence = []) {
+  const previousStatus = this.status;
   this.status = 'disputed';
   this.dispute = {
     initiatedBy: userId,
     reason,
     status: 'open',
+    previousStatus,
+    statements: [
+      {
+        author: userId,
+        role: this.getPartyRole(userId),
+        content: reason,
+        evidence,
+      },
+    ],
     timestamp: new Date(),
   };
   this.timeline.push({
@@ -225,9 +408,65 @@ orderSchema.methods.initiateDispute = function (userId, reason) {
   return this.save();
 };
 
+// Add a party's statement to an unresolved dispute
+orderSchema.methods.addDisputeStatement = function (userId, content, evidence = []) {
+  const role = this.getPartyRole(userId);
+
+  this.dispute.statements.push({ author: userId, role, content, evidence });
+  this.timeline.push({
+    status: this.status,
+    timestamp: new Date(),
+    note: `Dispute statement added by the ${role}`,
+  });
+  return this.save();
+};
+
+// Start admin review of a dispute
+orderSchema.methods.startDisputeReview = function (adminId) {
+  this.dispute.status = 'in-review';
+  this.dispute.assignedTo = adminId;
+  this.dispute.reviewStartedAt = new Date();
+  this.timeline.push({
+    status: this.status,
+    timestamp: new Date(),
+    note: 'Dispute under review by our team',
+  });
+  return this.save();
+};
+
+// Resolve dispute - moves the order to the outcome's status
+orderSchema.methods.resolveDispute = function (adminId, outcome, resolution) {
+  const { orderStatus } = DISPUTE_OUTCOMES[outcome];
+
+  this.dispute.status = 'resolved';
+  this.dispute.outcome = outcome;
+  this.dispute.resolution = resolution;
+  this.dispute.resolvedBy = adminId;
+  this.dispute.resolvedAt = new Date();
+  this.status = orderStatus;
+  this.timeline.push({
+    status: orderStatus,
+    timestamp: new Date(),
+    note: `Dispute resolved (${outcome}): ${resolution}`,
+  });
+  return this.save();
+};
+
 // Check if order can be rated
 orderSchema.methods.canBeRated = function () {
-  return this.status === 'completed';
+  return (
+    this.status === 'completed' &&
+    !this.rating?.publishedAt &&
+    this.getRatingWindowClosesAt() > new Date()
+  );
+};
+
+// Check if order can be disputed (one dispute per order)
+orderSchema.methods.canBeDisputed = function () {
+  return (
+    !this.dispute?.status &&
+    ['confirmed', 'meetup-scheduled', 'in-progress', 'completed'].includes(this.status)
+  );
 };
 
 // Check if order can be cancelled
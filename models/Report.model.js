@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+
+export const REPORT_REASONS = [
+  'spam',
+  'scam',
+  'harassment',
+  'inappropriate-content',
+  'prohibited-item',
+  'counterfeit',
+  'impersonation',
+  'other',
+];
+
+// What a moderator did when resolving a report ('none' dismisses it)
+export const REPORT_ACTIONS = ['none', 'warning', 'content-removed', 'user-deactivated'];
+
+// Reports still waiting for a moderator decision
+const OPEN_STATUSES = ['open', 'in-review'];
+
+const reportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: ['user', 'listing', 'message'],
+      required: true,
+    },
+    // Reported user (owner of the listing or message for content reports)
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    targetListing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing',
+    },
+    targetChat: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Chat',
+    },
+    targetMessage: mongoose.Schema.Types.ObjectId,
+    // Identifies the reported item - reports sharing it are collapsed
+    targetKey: {
+      type: String,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: [true, 'Reason is required'],
+    },
+    description: {
+      type: String,
+      required: [true, 'Description is required'],
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    },
+    // Copy of the reported listing or message at report time, so moderators
+    // still see it after the owner edits or deletes it
+    snapshot: mongoose.Schema.Types.Mixed,
+    evidence: [
+      {
+        url: {
+          type: String,
+          required: true,
+        },
+        publicId: String,
+        _id: false,
+      },
+    ],
+    status: {
+      type: String,
+      enum: ['open', 'in-review', 'resolved', 'dismissed'],
+      default: 'open',
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'normal', 'high'],
+      default: 'normal',
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Set when collapsed into an earlier open report for the same target
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Report',
+    },
+    duplicateCount: {
+      type: Number,
+      default: 0,
+    },
+    resolution: {
+      action: {
+        type: String,
+        enum: REPORT_ACTIONS,
+      },
+      note: {
+        type: String,
+        maxlength: [1000, 'Note cannot exceed 1000 characters'],
+      },
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      resolvedAt: Date,
+    },
+    // Moderation trail
+    history: [
+      {
+        action: {
+          type: String,
+          enum: ['triaged', 'assigned', 'resolved', 'dismissed'],
+        },
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        note: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+        _id: false,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+reportSchema.index({ status: 1, duplicateOf: 1, createdAt: 1 });
+reportSchema.index({ targetKey: 1, status: 1 });
+reportSchema.index({ reporter: 1, createdAt: -1 });
+reportSchema.index({ targetUser: 1, createdAt: -1 });
+reportSchema.index({ assignedTo: 1, status: 1 });
+
+// Build the key identifying a reported item
+const getTargetKey = ({ targetType, targetUser, targetListing, targetMessage }) => {
+  const targets = { user: targetUser, listing: targetListing, message: targetMessage };
+  return `${targetType}:${targets[targetType]}`;
+};
+
+// Check if report still needs a decision
+reportSchema.methods.isOpen = function () {
+  return OPEN_STATUSES.includes(this.status);
+};
+
+// Static method to file a report, collapsing it into an open report for the same target
+// Returns { report, duplicate } or { alreadyReported: true } if this reporter has one open
+reportSchema.statics.submit = async function (data) {
+  const targetKey = getTargetKey(data);
+  const openForTarget = { targetKey, status: { $in: OPEN_STATUSES } };
+
+  const ownReport = await this.exists({ ...openForTarget, reporter: data.reporter });
+  if (ownReport) {
+    return { alreadyReported: true };
+  }
+
+  const primary = await this.findOne({ ...openForTarget, duplicateOf: { $exists: false } })
+    .sort({ createdAt: 1 })
+    .select('_id');
+
+  const report = await this.create({ ...data, targetKey, duplicateOf: primary?._id });
+
+  if (primary) {
+    await this.updateOne({ _id: primary._id }, { $inc: { duplicateCount: 1 } });
+  }
+
+  return { report, duplicate: Boolean(primary) };
+};
+
+const Report = mongoose.model('Report', reportSchema);
+
+export default Report;
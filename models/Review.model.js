@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+const reviewSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    listing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing',
+      required: true,
+    },
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reviewee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Reviewer's side of the order - buyer reviews rate the seller and vice versa
+    reviewerRole: {
+      type: String,
+      enum: ['buyer', 'seller'],
+      required: true,
+    },
+    score: {
+      type: Number,
+      required: [true, 'Score is required'],
+      min: 1,
+      max: 5,
+    },
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Review cannot exceed 500 characters'],
+    },
+    // Public answer from the reviewee
+    reply: {
+      text: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reply cannot exceed 500 characters'],
+      },
+      createdAt: Date,
+    },
+    // Pending reviews are blind until the order's ratings are published
+    status: {
+      type: String,
+      enum: ['pending', 'published', 'hidden'],
+      default: 'published',
+    },
+    moderation: {
+      note: String,
+      moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      moderatedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+reviewSchema.index({ order: 1, reviewer: 1 }, { unique: true });
+reviewSchema.index({ reviewee: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ listing: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ reviewer: 1, createdAt: -1 });
+
+// Get the reviewee's side of the order (the reputation this review counts toward)
+reviewSchema.methods.getRevieweeRole = function () {
+  return this.reviewerRole === 'buyer' ? 'seller' : 'buyer';
+};
+
+// Check if review can still be replied to
+reviewSchema.methods.canBeRepliedTo = function () {
+  return this.status === 'published' && !this.reply?.text;
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
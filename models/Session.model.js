@@ -0,0 +1,177 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Refresh token lifetime (matches the refresh token cookie maxAge)
+export const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Hash a refresh token id for storage
+const hashTokenId = (tokenId) =>
+  crypto.createHash('sha256').update(tokenId).digest('hex');
+
+// Derive a readable device label from a user agent string
+const getDeviceLabel = (userAgent = '') => {
+  const browsers = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Chrome/', 'Chrome'],
+    ['Firefox/', 'Firefox'],
+    ['Safari/', 'Safari'],
+  ];
+  const platforms = [
+    ['iPhone', 'iPhone'],
+    ['iPad', 'iPad'],
+    ['Android', 'Android'],
+    ['Windows', 'Windows'],
+    ['Mac OS', 'macOS'],
+    ['Linux', 'Linux'],
+  ];
+
+  const browser = browsers.find(([token]) => userAgent.includes(token))?.[1];
+  const platform = platforms.find(([token]) => userAgent.includes(token))?.[1];
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    deviceLabel: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Device label cannot exceed 100 characters'],
+    },
+    ip: String,
+    userAgent: String,
+    // Hash of the id of the only refresh token currently valid for this session
+    refreshTokenHash: {
+      type: String,
+      select: false,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + SESSION_TTL_MS),
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: [
+        'logout',
+        'user-revoked',
+        'password-changed',
+        'account-deleted',
+        'reuse-detected',
+        'admin-action',
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+// Check if session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Check a refresh token id against the current one
+sessionSchema.methods.matchesToken = function (tokenId) {
+  return Boolean(tokenId) && this.refreshTokenHash === hashTokenId(tokenId);
+};
+
+// Rotate refresh token - returns the new token id, or null if the current
+// token was already rotated by a concurrent request
+sessionSchema.methods.rotate = async function ({ ip, userAgent } = {}) {
+  const tokenId = crypto.randomBytes(32).toString('hex');
+
+  const updates = {
+    refreshTokenHash: hashTokenId(tokenId),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+  };
+  if (ip) updates.ip = ip;
+  if (userAgent) updates.userAgent = userAgent;
+
+  if (this.isNew) {
+    this.set(updates);
+    await this.save();
+    return tokenId;
+  }
+
+  // Compare-and-set so the same refresh token can't be rotated twice
+  const updated = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      refreshTokenHash: this.refreshTokenHash,
+      revokedAt: { $exists: false },
+    },
+    { $set: updates }
+  );
+
+  if (updated.modifiedCount === 0) {
+    return null;
+  }
+
+  this.set(updates);
+  return tokenId;
+};
+
+// Revoke session
+sessionSchema.methods.revoke = function (reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  this.refreshTokenHash = undefined;
+  return this.save();
+};
+
+// Static method to start a new session - returns { session, tokenId }
+sessionSchema.statics.start = async function ({ user, ip, userAgent, deviceLabel }) {
+  const session = new this({
+    user,
+    ip,
+    userAgent,
+    deviceLabel: deviceLabel || getDeviceLabel(userAgent),
+  });
+
+  const tokenId = await session.rotate();
+  return { session, tokenId };
+};
+
+// Static method to revoke all active sessions of a user
+sessionSchema.statics.revokeAllForUser = function (userId, reason, { except } = {}) {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  if (except) {
+    query._id = { $ne: except };
+  }
+
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+    $unset: { refreshTokenHash: 1 },
+  });
+};
+
+// Static method to get active sessions of a user
+sessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const universitySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'University name is required'],
+      unique: true,
+      trim: true,
+      maxlength: [100, 'University name cannot exceed 100 characters'],
+    },
+    // Alternative spellings/abbreviations that normalize to this university
+    aliases: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    campuses: [
+      {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Campus name cannot exceed 100 characters'],
+      },
+    ],
+    // Subdomains are accepted too (e.g. students.example.ac.za for example.ac.za)
+    emailDomains: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          lowercase: true,
+        },
+      ],
+      validate: {
+        validator: (domains) => domains.length > 0,
+        message: 'At least one email domain is required',
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+universitySchema.index({ emailDomains: 1 });
+
+// Get the domain of an email and all of its parent domains
+const getCandidateDomains = (email) => {
+  const domain = email.split('@')[1]?.toLowerCase();
+  if (!domain) return [];
+
+  const parts = domain.split('.');
+  const candidates = [];
+  for (let i = 0; i < parts.length - 1; i++) {
+    candidates.push(parts.slice(i).join('.'));
+  }
+  return candidates;
+};
+
+// Check if an email belongs to this university
+universitySchema.methods.matchesEmail = function (email) {
+  return getCandidateDomains(email).some((domain) =>
+    this.emailDomains.includes(domain)
+  );
+};
+
+// Get canonical campus name (case-insensitive match)
+universitySchema.methods.resolveCampus = function (campus) {
+  if (!campus) return null;
+  const normalized = campus.trim().toLowerCase();
+  return this.campuses.find((c) => c.toLowerCase() === normalized) || null;
+};
+
+// Static method to find the university an email address belongs to
+universitySchema.statics.findByEmail = async function (email) {
+  const candidates = getCandidateDomains(email);
+  if (candidates.length === 0) return null;
+
+  const universities = await this.find({
+    isActive: true,
+    emailDomains: { $in: candidates },
+  });
+
+  // Prefer the most specific domain match
+  for (const domain of candidates) {
+    const match = universities.find((u) => u.emailDomains.includes(domain));
+    if (match) return match;
+  }
+  return null;
+};
+
+// Static method to find a university by name or alias (case-insensitive)
+universitySchema.statics.findByName = function (name) {
+  const pattern = new RegExp(`^${escapeRegex(name.trim())}$`, 'i');
+  return this.findOne({
+    isActive: true,
+    $or: [{ name: pattern }, { aliases: pattern }],
+  });
+};
+
+// Static method to resolve university/campus for an email to registry entries
+// Returns { university, campus } with canonical names, or { error }
+universitySchema.statics.resolveForEmail = async function (
+  email,
+  { university, campus } = {}
+) {
+  const emailUniversity = await this.findByEmail(email);
+
+  if (!emailUniversity) {
+    return { error: 'Please use your university email address' };
+  }
+
+  if (university) {
+    const named = await this.findByName(university);
+    if (!named || !named._id.equals(emailUniversity._id)) {
+      return {
+        error: `Your email address does not belong to ${university}`,
+      };
+    }
+  }
+
+  let resolvedCampus = null;
+  if (campus) {
+    resolvedCampus = emailUniversity.resolveCampus(campus);
+    if (!resolvedCampus) {
+      return {
+        error: `Unknown campus for ${emailUniversity.name}: ${campus}`,
+      };
+    }
+  } else if (emailUniversity.campuses.length === 1) {
+    resolvedCampus = emailUniversity.campuses[0];
+  }
+
+  return {
+    university: emailUniversity.name,
+    campus: resolvedCampus || undefined,
+  };
+};
+
+const University = mongoose.model('University', universitySchema);
+
+export default University;
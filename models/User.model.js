@@ -1,5 +1,53 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { verifyTOTP } from '../utils/totp.js';
+
+// Recency weighting: a rating's weight doubles every half-life after REPUTATION_EPOCH,
+// so older ratings count half as much as ones left REPUTATION_HALF_LIFE_MS later.
+// Weights are relative to a fixed epoch so running sums never need rescaling.
+// Changing either constant requires `node migrations/rebuild-reputation.js`.
+export const REPUTATION_EPOCH = Date.UTC(2024, 0, 1);
+export const REPUTATION_HALF_LIFE_MS = 180 * 24 * 60 * 60 * 1000; // 180 days
+
+// Running rating aggregates for one side of a user's orders
+const reputationFields = () => ({
+  count: {
+    type: Number,
+    default: 0,
+  },
+  sum: {
+    type: Number,
+    default: 0,
+  },
+  average: {
+    type: Number,
+    default: 0,
+  },
+  // Average with recent ratings weighted more heavily
+  recentAverage: {
+    type: Number,
+    default: 0,
+  },
+  // Number of ratings per star
+  histogram: {
+    1: { type: Number, default: 0 },
+    2: { type: Number, default: 0 },
+    3: { type: Number, default: 0 },
+    4: { type: Number, default: 0 },
+    5: { type: Number, default: 0 },
+  },
+  weightedSum: {
+    type: Number,
+    default: 0,
+    select: false,
+  },
+  weightTotal: {
+    type: Number,
+    default: 0,
+    select: false,
+  },
+});
 
 const userSchema = new mongoose.Schema(
   {
@@ -59,19 +107,97 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationSentAt: {
+      type: Date,
+      select: false,
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    // Set by admins (see getAccessRestriction)
+    suspendedUntil: Date,
+    suspensionReason: String,
+    bannedAt: Date,
+    banReason: String,
+    // Listings the ban took off the marketplace (reactivated on restore)
+    banDeactivatedListings: {
+      type: [mongoose.Schema.Types.ObjectId],
+      select: false,
+    },
+    // Scheduled deletion (see scheduleDeletion) - the account is anonymized
+    // once deletionScheduledFor passes unless the user logs in before then
+    deletionRequestedAt: Date,
+    deletionScheduledFor: Date,
+    deletedAt: Date,
     role: {
       type: String,
       enum: ['student', 'admin'],
       default: 'student',
     },
-    refreshToken: {
-      type: String,
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret awaiting confirmation with a first code
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted TOTP time step (prevents code replay)
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      // SHA-256 hash of the outstanding login challenge's token id (single use)
+      challengeId: {
+        type: String,
+        select: false,
+      },
+      enabledAt: Date,
+    },
+    // Login lockout (see registerFailedLogin)
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    lockoutCount: {
+      type: Number,
+      default: 0,
       select: false,
     },
+    lockUntil: {
+      type: Date,
+      select: false,
+    },
+    // Embedded in access tokens - bumping it invalidates every outstanding token
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
     listings: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -90,6 +216,7 @@ const userSchema = new mongoose.Schema(
         ref: 'Order',
       },
     ],
+    // Combined rating across both sides (kept in sync with reputation)
     rating: {
       average: {
         type: Number,
@@ -102,14 +229,35 @@ const userSchema = new mongoose.Schema(
         default: 0,
       },
     },
+    // Ratings received as a seller and as a buyer
+    reputation: {
+      seller: reputationFields(),
+      buyer: reputationFields(),
+    },
     lastActive: {
       type: Date,
       default: Date.now,
     },
+    privacy: {
+      // Show chat counterparties when this user is online and when they were last active
+      showOnlineStatus: {
+        type: Boolean,
+        default: true,
+      },
+    },
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      // Drop last seen for users hiding their online status (when privacy is selected)
+      transform: (doc, ret) => {
+        if (ret.privacy?.showOnlineStatus === false) {
+          delete ret.lastActive;
+        }
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   }
 );
@@ -119,6 +267,8 @@ userSchema.index({ email: 1 });
 userSchema.index({ university: 1, campus: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ 'rating.average': -1 });
+userSchema.index({ 'reputation.seller.recentAverage': -1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function (next) {
@@ -137,17 +287,292 @@ userSchema.pre('save', async function (next) {
   }
 });
 
+// Find user by a raw (unhashed) password reset token that hasn't expired
+userSchema.statics.findByPasswordResetToken = function (resetToken) {
+  const hashed = crypto.createHash('sha256').update(resetToken).digest('hex');
+
+  return this.findOne({
+    passwordResetToken: hashed,
+    passwordResetExpires: { $gt: Date.now() },
+  });
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Normalize and hash a recovery code
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+    .digest('hex');
+
+// Generate new 2FA recovery codes (replaces existing ones, caller saves)
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Verify a 2FA code (TOTP or single-use recovery code, caller saves)
+// Requires twoFactor.secret, recoveryCodes and lastUsedStep to be selected
+userSchema.methods.verifyTwoFactorCode = function (code) {
+  if (!this.twoFactor?.secret) return null;
+
+  const step = verifyTOTP(this.twoFactor.secret, code);
+  if (step !== null) {
+    if (this.twoFactor.lastUsedStep !== undefined && step <= this.twoFactor.lastUsedStep) {
+      return null; // Code already used
+    }
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const hashed = hashRecoveryCode(code);
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hashed);
+  if (index > -1) {
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return 'recovery';
+  }
+
+  return null;
+};
+
+// Hash a 2FA challenge token id for storage
+const hashChallengeId = (tokenId) => crypto.createHash('sha256').update(tokenId).digest('hex');
+
+// Start a 2FA login challenge, replacing any earlier one - returns the token id
+userSchema.methods.createTwoFactorChallenge = async function () {
+  const tokenId = crypto.randomBytes(32).toString('hex');
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { 'twoFactor.challengeId': hashChallengeId(tokenId) } }
+  );
+  return tokenId;
+};
+
+// Check a challenge token id against the outstanding challenge
+// Requires twoFactor.challengeId to be selected
+userSchema.methods.isTwoFactorChallengeValid = function (tokenId) {
+  if (!this.twoFactor?.challengeId || !tokenId) return false;
+  return hashChallengeId(tokenId) === this.twoFactor.challengeId;
+};
+
+// Use up the outstanding 2FA challenge - returns false if another request already used it
+userSchema.methods.consumeTwoFactorChallenge = async function (tokenId) {
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.challengeId': hashChallengeId(tokenId) },
+    { $unset: { 'twoFactor.challengeId': 1 } }
+  );
+  return modifiedCount === 1;
+};
+
+// Lockout policy: every MAX_FAILED_LOGINS failures lock the account,
+// doubling the lock each time (15m, 30m, 1h, ... up to 24h)
+const MAX_FAILED_LOGINS = 5;
+const BASE_LOCK_MS = 15 * 60 * 1000; // 15 minutes
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Check if account is locked (requires lockUntil to be selected)
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Record a failed login attempt, locking the account when the limit is hit
+// Returns the lock expiry date if the account was locked by this attempt
+userSchema.methods.registerFailedLogin = async function () {
+  // Atomic increment so parallel guesses can't slip past the limit
+  const updated = await this.constructor
+    .findByIdAndUpdate(this._id, { $inc: { failedLoginAttempts: 1 } }, { new: true })
+    .select('+failedLoginAttempts +lockoutCount');
+
+  if (!updated || updated.failedLoginAttempts < MAX_FAILED_LOGINS) {
+    return null;
+  }
+
+  const lockoutCount = (updated.lockoutCount || 0) + 1;
+  const lockUntil = new Date(
+    Date.now() + Math.min(BASE_LOCK_MS * 2 ** (lockoutCount - 1), MAX_LOCK_MS)
+  );
+
+  await this.constructor.findByIdAndUpdate(this._id, {
+    failedLoginAttempts: 0,
+    lockoutCount,
+    lockUntil,
+  });
+
+  return lockUntil;
+};
+
+// Reset lockout state after a successful login
+userSchema.methods.resetLoginAttempts = function () {
+  return this.constructor.findByIdAndUpdate(this._id, {
+    failedLoginAttempts: 0,
+    lockoutCount: 0,
+    $unset: { lockUntil: 1 },
+  });
+};
+
+// Invalidate all outstanding access tokens (caller saves)
+userSchema.methods.invalidateTokens = function () {
+  this.tokenVersion = (this.tokenVersion || 0) + 1;
+};
+
+// Check if an admin has permanently banned the account
+userSchema.methods.isBanned = function () {
+  return Boolean(this.bannedAt);
+};
+
+// Check if account is under an active suspension
+userSchema.methods.isSuspended = function () {
+  return Boolean(this.suspendedUntil && this.suspendedUntil > Date.now());
+};
+
+// Get the reason the account can't sign in because of an admin action (null if none)
+userSchema.methods.getAccessRestriction = function () {
+  if (this.isBanned()) {
+    return 'Your account has been banned. Please contact support.';
+  }
+  if (this.isSuspended()) {
+    return `Your account is suspended until ${this.suspendedUntil.toUTCString()}. Reason: ${this.suspensionReason}`;
+  }
+  return null;
+};
+
+// Schedule the account for deletion after a grace period (caller saves)
+userSchema.methods.scheduleDeletion = function (gracePeriodMs) {
+  this.isActive = false;
+  this.deletionRequestedAt = Date.now();
+  this.deletionScheduledFor = Date.now() + gracePeriodMs;
+  this.invalidateTokens();
+};
+
+// Check if account is in its deletion grace period (once it ends, only the deletion job acts)
+userSchema.methods.isPendingDeletion = function () {
+  return Boolean(this.deletionScheduledFor > Date.now() && !this.deletedAt);
+};
+
+// Check if the grace period has ended and the account is waiting to be anonymized
+userSchema.methods.isDeletionDue = function () {
+  return Boolean(this.deletionScheduledFor <= Date.now() && !this.deletedAt);
+};
+
+// Cancel a scheduled deletion and reactivate the account (caller saves)
+userSchema.methods.cancelDeletion = function () {
+  this.isActive = true;
+  this.deletionRequestedAt = undefined;
+  this.deletionScheduledFor = undefined;
+};
+
 // Update last active
 userSchema.methods.updateLastActive = function () {
   this.lastActive = Date.now();
   return this.save({ validateBeforeSave: false });
 };
 
+// Check if the user shares their online status
+userSchema.methods.isOnlineStatusVisible = function () {
+  return this.privacy?.showOnlineStatus !== false;
+};
+
+// Create email verification token id (stored hashed, embedded in a signed JWT)
+userSchema.methods.createEmailVerificationToken = function () {
+  const tokenId = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(tokenId)
+    .digest('hex');
+  this.emailVerificationSentAt = Date.now();
+
+  return tokenId;
+};
+
+// Check an email verification token id against the stored hash
+userSchema.methods.isEmailVerificationTokenValid = function (tokenId) {
+  if (!this.emailVerificationToken || !tokenId) return false;
+
+  const hashed = crypto.createHash('sha256').update(tokenId).digest('hex');
+  return hashed === this.emailVerificationToken;
+};
+
+// Create password reset token (raw token is emailed, only the hash is stored)
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+  this.passwordResetExpires = Date.now() + 30 * 60 * 1000; // 30 minutes
+
+  return resetToken;
+};
+
+// Weight of a rating left at a given time (see REPUTATION_HALF_LIFE_MS)
+const getRatingWeight = (ratedAt) =>
+  2 ** ((new Date(ratedAt).getTime() - REPUTATION_EPOCH) / REPUTATION_HALF_LIFE_MS);
+
+// Round an aggregation ratio to 2 decimals, 0 when there are no ratings
+const roundedRatio = (numerator, denominator, count = denominator) => ({
+  $cond: [
+    { $gt: [count, 0] },
+    { $round: [{ $divide: [numerator, denominator] }, 2] },
+    0,
+  ],
+});
+
+// Static method to add (or with direction -1 remove) a rating from a user's reputation
+// role is the rated user's side of the order. Runs as one atomic update.
+userSchema.statics.applyRating = function (userId, role, score, ratedAt, direction = 1) {
+  const side = `reputation.${role}`;
+  const weight = getRatingWeight(ratedAt);
+  const add = (field, amount) => ({
+    $add: [{ $ifNull: [`$${side}.${field}`, 0] }, amount * direction],
+  });
+  const value = (path) => ({ $ifNull: [`$${path}`, 0] });
+
+  return this.updateOne({ _id: userId }, [
+    {
+      $set: {
+        [`${side}.count`]: add('count', 1),
+        [`${side}.sum`]: add('sum', score),
+        [`${side}.histogram.${score}`]: add(`histogram.${score}`, 1),
+        [`${side}.weightedSum`]: add('weightedSum', score * weight),
+        [`${side}.weightTotal`]: add('weightTotal', weight),
+      },
+    },
+    {
+      $set: {
+        [`${side}.average`]: roundedRatio(`$${side}.sum`, `$${side}.count`),
+        [`${side}.recentAverage`]: roundedRatio(
+          `$${side}.weightedSum`,
+          `$${side}.weightTotal`,
+          `$${side}.count`
+        ),
+        'rating.count': {
+          $add: [value('reputation.seller.count'), value('reputation.buyer.count')],
+        },
+      },
+    },
+    {
+      $set: {
+        'rating.average': roundedRatio(
+          { $add: [value('reputation.seller.sum'), value('reputation.buyer.sum')] },
+          '$rating.count'
+        ),
+      },
+    },
+  ]);
+};
+
 // Get public profile
 userSchema.methods.getPublicProfile = function () {
   return {
@@ -159,8 +584,9 @@ userSchema.methods.getPublicProfile = function () {
     campus: this.campus,
     bio: this.bio,
     rating: this.rating,
+    reputation: this.reputation,
     createdAt: this.createdAt,
-    lastActive: this.lastActive,
+    lastActive: this.isOnlineStatusVisible() ? this.lastActive : undefined,
   };
 };
 
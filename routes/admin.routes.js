@@ -0,0 +1,75 @@
+import express from 'express';
+import {
+  searchUsers,
+  getUserDetails,
+  getUserListings,
+  getUserOrders,
+  getUserReports,
+  suspendUser,
+  banUser,
+  restoreUser,
+  changeUserRole,
+  getListings,
+  editListing,
+  takeDownListing,
+  restoreListing,
+  featureListing,
+  bulkListingAction,
+  getDisputes,
+  reviewDispute,
+  resolveDispute,
+  moderateReview,
+  getAuditLogs,
+} from '../controllers/admin.controller.js';
+import { protect, restrictTo } from '../middleware/auth.middleware.js';
+import {
+  suspendUserValidation,
+  banUserValidation,
+  changeRoleValidation,
+  updateListingValidation,
+  moderationReasonValidation,
+  featureListingValidation,
+  bulkListingValidation,
+  moderationNoteValidation,
+  resolveDisputeValidation,
+  moderateReviewValidation,
+  mongoIdValidation,
+} from '../middleware/validation.middleware.js';
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(protect, restrictTo('admin'));
+
+router.get('/users', searchUsers);
+router.get('/users/:id', mongoIdValidation, getUserDetails);
+router.get('/users/:id/listings', mongoIdValidation, getUserListings);
+router.get('/users/:id/orders', mongoIdValidation, getUserOrders);
+router.get('/users/:id/reports', mongoIdValidation, getUserReports);
+router.patch('/users/:id/suspend', mongoIdValidation, suspendUserValidation, suspendUser);
+router.patch('/users/:id/ban', mongoIdValidation, banUserValidation, banUser);
+router.patch('/users/:id/restore', mongoIdValidation, moderationNoteValidation, restoreUser);
+router.patch('/users/:id/role', mongoIdValidation, changeRoleValidation, changeUserRole);
+
+router.get('/listings', getListings);
+router.post('/listings/bulk', bulkListingValidation, bulkListingAction);
+router.patch(
+  '/listings/:id',
+  mongoIdValidation,
+  updateListingValidation,
+  moderationReasonValidation,
+  editListing
+);
+router.patch('/listings/:id/takedown', mongoIdValidation, moderationReasonValidation, takeDownListing);
+router.patch('/listings/:id/restore', mongoIdValidation, moderationNoteValidation, restoreListing);
+router.patch('/listings/:id/feature', mongoIdValidation, featureListingValidation, featureListing);
+
+router.get('/disputes', getDisputes);
+router.patch('/disputes/:id/review', mongoIdValidation, reviewDispute);
+router.patch('/disputes/:id/resolve', mongoIdValidation, resolveDisputeValidation, resolveDispute);
+
+router.patch('/reviews/:id', mongoIdValidation, moderateReviewValidation, moderateReview);
+
+router.get('/audit-logs', getAuditLogs);
+
+export default router;
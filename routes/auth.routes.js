@@ -2,20 +2,41 @@ import express from 'express';
 import {
   register,
   login,
+  verifyTwoFactorLogin,
+  googleAuth,
+  googleCallback,
   logout,
   refreshAccessToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getLoginHistory,
   getMe,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   updatePassword,
   verifyEmail,
+  resendVerificationEmail,
   forgotPassword,
   resetPassword,
   deleteAccount,
 } from '../controllers/auth.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { authLimiter } from '../middleware/rateLimiter.middleware.js';
+import {
+  authLimiter,
+  verificationEmailLimiter,
+  passwordResetLimiter,
+} from '../middleware/rateLimiter.middleware.js';
 import {
   registerValidation,
   loginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
+  mongoIdValidation,
 } from '../middleware/validation.middleware.js';
 
 const router = express.Router();
@@ -23,16 +44,28 @@ const router = express.Router();
 // Public routes with rate limiting
 router.post('/register', authLimiter, registerValidation, register);
 router.post('/login', authLimiter, loginValidation, login);
+router.post('/2fa/verify', authLimiter, twoFactorLoginValidation, verifyTwoFactorLogin);
+router.get('/google', googleAuth);
+router.get('/google/callback', googleCallback);
 router.post('/refresh', refreshAccessToken);
 router.get('/verify/:token', verifyEmail);
-router.post('/forgot-password', authLimiter, forgotPassword);
-router.post('/reset-password/:token', authLimiter, resetPassword);
+router.post('/forgot-password', passwordResetLimiter, forgotPasswordValidation, forgotPassword);
+router.post('/reset-password/:token', authLimiter, resetPasswordValidation, resetPassword);
 
 // Protected routes
 router.use(protect); // All routes below are protected
 
 router.post('/logout', logout);
 router.get('/me', getMe);
+router.get('/sessions', getSessions);
+router.delete('/sessions', revokeOtherSessions);
+router.delete('/sessions/:id', mongoIdValidation, revokeSession);
+router.get('/login-history', getLoginHistory);
+router.post('/verify/resend', verificationEmailLimiter, resendVerificationEmail);
+router.post('/2fa/setup', setupTwoFactor);
+router.post('/2fa/confirm', authLimiter, twoFactorCodeValidation, confirmTwoFactor);
+router.post('/2fa/disable', authLimiter, twoFactorCodeValidation, disableTwoFactor);
+router.post('/2fa/recovery-codes', authLimiter, twoFactorCodeValidation, regenerateRecoveryCodes);
 router.put('/password', updatePassword);
 router.delete('/account', deleteAccount);
 
@@ -3,19 +3,26 @@ import {
   getUserChats,
   getOrCreateChat,
   getChatById,
+  getChatMessages,
   sendMessage,
   markChatAsRead,
   deleteChat,
   toggleBlockChat,
   respondToOffer,
+  withdrawOffer,
   getUnreadCount,
+  reportMessage,
 } from '../controllers/chat.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
 import {
   sendMessageValidation,
+  respondToOfferValidation,
+  messagePageValidation,
+  reportValidation,
   mongoIdValidation,
+  chatMessageIdValidation,
 } from '../middleware/validation.middleware.js';
-import { messageLimiter } from '../middleware/rateLimiter.middleware.js';
+import { messageLimiter, reportLimiter } from '../middleware/rateLimiter.middleware.js';
 
 const router = express.Router();
 
@@ -26,10 +33,24 @@ router.get('/', getUserChats);
 router.post('/', getOrCreateChat);
 router.get('/unread/count', getUnreadCount);
 router.get('/:id', mongoIdValidation, getChatById);
+router.get('/:id/messages', mongoIdValidation, messagePageValidation, getChatMessages);
 router.post('/:id/messages', mongoIdValidation, messageLimiter, sendMessageValidation, sendMessage);
 router.put('/:id/read', mongoIdValidation, markChatAsRead);
 router.delete('/:id', mongoIdValidation, deleteChat);
 router.put('/:id/block', mongoIdValidation, toggleBlockChat);
-router.put('/:chatId/messages/:messageId/offer', respondToOffer);
+router.put(
+  '/:chatId/messages/:messageId/offer',
+  chatMessageIdValidation,
+  respondToOfferValidation,
+  respondToOffer
+);
+router.put('/:chatId/messages/:messageId/offer/withdraw', chatMessageIdValidation, withdrawOffer);
+router.post(
+  '/:chatId/messages/:messageId/report',
+  chatMessageIdValidation,
+  reportLimiter,
+  reportValidation,
+  reportMessage
+);
 
 export default router;
\ No newline at end of file
@@ -12,17 +12,21 @@ import {
   markAsSold,
   reactivateListing,
   getListingStats,
+  reportListing,
 } from '../controllers/listing.controller.js';
+import { getListingReviews } from '../controllers/review.controller.js';
 import { protect, optionalAuth, restrictTo } from '../middleware/auth.middleware.js';
 import {
   createListingValidation,
   updateListingValidation,
   searchValidation,
+  reportValidation,
   mongoIdValidation,
 } from '../middleware/validation.middleware.js';
 import {
   createListingLimiter,
   searchLimiter,
+  reportLimiter,
 } from '../middleware/rateLimiter.middleware.js';
 
 const router = express.Router();
@@ -35,6 +39,7 @@ router.get('/category/:category', getListingsByCategory);
 router.get('/stats/overview', protect, restrictTo('admin'), getListingStats);
 router.get('/:id', optionalAuth, mongoIdValidation, getListingById);
 router.get('/:id/similar', mongoIdValidation, getSimilarListings);
+router.get('/:id/reviews', optionalAuth, mongoIdValidation, getListingReviews);
 
 // Protected routes
 router.use(protect); // All routes below are protected
@@ -44,5 +49,6 @@ router.put('/:id', mongoIdValidation, updateListingValidation, updateListing);
 router.delete('/:id', mongoIdValidation, deleteListing);
 router.patch('/:id/sold', mongoIdValidation, markAsSold);
 router.patch('/:id/reactivate', mongoIdValidation, reactivateListing);
+router.post('/:id/report', reportLimiter, mongoIdValidation, reportValidation, reportListing);
 
 export default router;
\ No newline at end of file
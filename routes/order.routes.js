@@ -8,6 +8,7 @@ import {
   addRating,
   cancelOrder,
   initiateDispute,
+  addDisputeStatement,
   addNotes,
 } from '../controllers/order.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
@@ -15,6 +16,8 @@ import {
   createOrderValidation,
   updateOrderStatusValidation,
   addRatingValidation,
+  disputeValidation,
+  disputeStatementValidation,
   mongoIdValidation,
 } from '../middleware/validation.middleware.js';
 
@@ -30,7 +33,13 @@ router.put('/:id/status', mongoIdValidation, updateOrderStatusValidation, update
 router.put('/:id/meetup', mongoIdValidation, updateMeetupDetails);
 router.post('/:id/rating', mongoIdValidation, addRatingValidation, addRating);
 router.post('/:id/cancel', mongoIdValidation, cancelOrder);
-router.post('/:id/dispute', mongoIdValidation, initiateDispute);
+router.post('/:id/dispute', mongoIdValidation, disputeValidation, initiateDispute);
+router.post(
+  '/:id/dispute/statements',
+  mongoIdValidation,
+  disputeStatementValidation,
+  addDisputeStatement
+);
 router.put('/:id/notes', mongoIdValidation, addNotes);
 
 export default router;
\ No newline at end of file
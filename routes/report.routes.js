@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  getReports,
+  getReportById,
+  triageReport,
+  assignReport,
+  resolveReport,
+} from '../controllers/report.controller.js';
+import { protect, restrictTo } from '../middleware/auth.middleware.js';
+import {
+  triageReportValidation,
+  assignReportValidation,
+  resolveReportValidation,
+  mongoIdValidation,
+} from '../middleware/validation.middleware.js';
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(protect, restrictTo('admin'));
+
+router.get('/', getReports);
+router.get('/:id', mongoIdValidation, getReportById);
+router.patch('/:id/triage', mongoIdValidation, triageReportValidation, triageReport);
+router.patch('/:id/assign', mongoIdValidation, assignReportValidation, assignReport);
+router.patch('/:id/resolve', mongoIdValidation, resolveReportValidation, resolveReport);
+
+export default router;
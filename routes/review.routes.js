@@ -0,0 +1,13 @@
+import express from 'express';
+import { replyToReview } from '../controllers/review.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { reviewReplyValidation, mongoIdValidation } from '../middleware/validation.middleware.js';
+
+const router = express.Router();
+
+// All review routes are protected
+router.use(protect);
+
+router.post('/:id/reply', mongoIdValidation, reviewReplyValidation, replyToReview);
+
+export default router;
@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  getUniversities,
+  createUniversity,
+  updateUniversity,
+} from '../controllers/university.controller.js';
+import { protect, restrictTo } from '../middleware/auth.middleware.js';
+import {
+  universityValidation,
+  updateUniversityValidation,
+  mongoIdValidation,
+} from '../middleware/validation.middleware.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getUniversities);
+
+// Admin routes
+router.use(protect, restrictTo('admin')); // All routes below are admin only
+
+router.post('/', universityValidation, createUniversity);
+router.put('/:id', mongoIdValidation, updateUniversityValidation, updateUniversity);
+
+export default router;
@@ -9,20 +9,27 @@ import {
   getUserStats,
   searchUsers,
   reportUser,
+  requestDataExport,
+  getDataExport,
+  downloadDataExport,
 } from '../controllers/user.controller.js';
+import { getUserReviews } from '../controllers/review.controller.js';
 import { protect, optionalAuth } from '../middleware/auth.middleware.js';
 import {
   updateProfileValidation,
+  reportValidation,
   mongoIdValidation,
 } from '../middleware/validation.middleware.js';
+import { reportLimiter } from '../middleware/rateLimiter.middleware.js';
 
 const router = express.Router();
 
 // Public routes
 router.get('/search', searchUsers);
 router.get('/:id', optionalAuth, mongoIdValidation, getUserById);
-router.get('/:id/listings', mongoIdValidation, getUserListings);
+router.get('/:id/listings', optionalAuth, mongoIdValidation, getUserListings);
 router.get('/:id/stats', mongoIdValidation, getUserStats);
+router.get('/:id/reviews', mongoIdValidation, getUserReviews);
 
 // Protected routes
 router.use(protect); // All routes below are protected
@@ -31,6 +38,9 @@ router.put('/me', updateProfileValidation, updateProfile);
 router.get('/me/saved', getSavedListings);
 router.post('/me/saved/:listingId', mongoIdValidation, toggleSaveListing);
 router.get('/me/orders', getUserOrders);
-router.post('/:id/report', mongoIdValidation, reportUser);
+router.post('/me/export', requestDataExport);
+router.get('/me/export/:id', mongoIdValidation, getDataExport);
+router.get('/me/export/:id/download', mongoIdValidation, downloadDataExport);
+router.post('/:id/report', reportLimiter, mongoIdValidation, reportValidation, reportUser);
 
 export default router;
\ No newline at end of file
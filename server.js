@@ -1,3 +1,5 @@
+// Load environment variables first - modules such as the rate limiters read them on import
+import 'dotenv/config';
 import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
@@ -5,7 +7,6 @@ import helmet from 'helmet';
 import compression from 'compression';
 import morgan from 'morgan';
 import cookieParser from 'cookie-parser';
-import dotenv from 'dotenv';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 
@@ -16,13 +17,24 @@ import listingRoutes from './routes/listing.routes.js';
 import chatRoutes from './routes/chat.routes.js';
 import orderRoutes from './routes/order.routes.js';
 import uploadRoutes from './routes/upload.routes.js';
+import universityRoutes from './routes/university.routes.js';
+import reportRoutes from './routes/report.routes.js';
+import adminRoutes from './routes/admin.routes.js';
+import reviewRoutes from './routes/review.routes.js';
 
 // Import middleware
 import { errorHandler } from './middleware/error.middleware.js';
+import { socketProtect } from './middleware/auth.middleware.js';
 import { rateLimiter } from './middleware/rateLimiter.middleware.js';
 
-// Load environment variables
-dotenv.config();
+// Import utilities
+import { configurePassport } from './utils/passport.js';
+import { startDataExportJob } from './utils/dataExport.js';
+import { startAccountDeletionJob } from './utils/accountDeletion.js';
+import { startRatingWindowJob } from './utils/ratingWindow.js';
+import { startOfferExpiryJob } from './utils/offerExpiry.js';
+import { registerSocketHandlers } from './utils/socket.js';
+import { configureSocketAdapter, closeRedis } from './utils/redis.js';
 
 const app = express();
 const httpServer = createServer(app);
@@ -38,6 +50,13 @@ const io = new Server(httpServer, {
 // Make io accessible to routes
 app.set('io', io);
 
+// Behind a load balancer, trust its X-Forwarded-For so rate limits apply per client IP
+// (TRUST_PROXY is the number of proxy hops, e.g. 1)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Security middleware
 app.use(helmet({
   crossOriginResourcePolicy: { policy: 'cross-origin' },
@@ -72,6 +91,9 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
+// Authentication (stateless - tokens are issued by sendTokenResponse)
+app.use(configurePassport().initialize());
+
 // Compression middleware
 app.use(compression());
 
@@ -104,6 +126,10 @@ app.use('/api/listings', listingRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/universities', universityRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/admin/reports', reportRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler (Express 5+)
 app.use((req, res) => {
@@ -128,35 +154,11 @@ app.use(errorHandler);
 // Error handling middleware (must be last)
 app.use(errorHandler);
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log(`User connected: ${socket.id}`);
-
-  // Join user's personal room
-  socket.on('join', (userId) => {
-    socket.join(userId);
-    console.log(`User ${userId} joined their room`);
-  });
-
-  // Join chat room
-  socket.on('join-chat', (chatId) => {
-    socket.join(chatId);
-    console.log(`Socket ${socket.id} joined chat ${chatId}`);
-  });
-
-  // Handle typing indicator
-  socket.on('typing', ({ chatId, userId }) => {
-    socket.to(chatId).emit('user-typing', { userId });
-  });
-
-  socket.on('stop-typing', ({ chatId, userId }) => {
-    socket.to(chatId).emit('user-stop-typing', { userId });
-  });
+// Socket.IO authentication - every connection belongs to a logged-in user
+io.use(socketProtect);
 
-  socket.on('disconnect', () => {
-    console.log(`User disconnected: ${socket.id}`);
-  });
-});
+// Socket.IO connection handling
+registerSocketHandlers(io);
 
 // MongoDB connection
 const connectDB = async () => {
@@ -177,7 +179,28 @@ const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
   await connectDB();
-  
+
+  // Share Socket.IO rooms across instances (SOCKET_ADAPTER=redis)
+  if (await configureSocketAdapter(io)) {
+    console.log('✅ Socket.IO Redis adapter enabled');
+  }
+
+  // Background jobs run on one instance only (BACKGROUND_JOBS=false on the others)
+  if (process.env.BACKGROUND_JOBS !== 'false') {
+    // Generate queued data exports (including interrupted ones) and remove expired archives
+    startDataExportJob();
+
+    // Anonymize accounts whose deletion grace period has ended
+    startAccountDeletionJob();
+
+    // Publish order ratings whose rating window has closed
+    startRatingWindowJob();
+
+    // Expire chat offers nobody responded to
+    startOfferExpiryJob(io);
+    console.log('⏱️  Background jobs enabled');
+  }
+
   httpServer.listen(PORT, () => {
     console.log(`🚀 Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
     console.log(`📡 Socket.IO server ready for real-time communication`);
@@ -199,7 +222,8 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM received. Shutting down gracefully...');
-  httpServer.close(() => {
+  httpServer.close(async () => {
+    await closeRedis().catch(() => {});
     console.log('✅ Process terminated');
   });
 });
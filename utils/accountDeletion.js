@@ -0,0 +1,152 @@
+import User from '../models/User.model.js';
+import Listing from '../models/Listing.model.js';
+import Message from '../models/Message.model.js';
+import Session from '../models/Session.model.js';
+import LoginEvent from '../models/LoginEvent.model.js';
+import { deleteUserDataExports } from './dataExport.js';
+import { deleteMultipleFromCloudinary, getPublicIdFromUrl } from './cloudinary.js';
+
+// How often the job looks for accounts whose grace period has ended
+// (read when the job starts, after .env has been loaded)
+const getDeletionJobInterval = () =>
+  Number(process.env.ACCOUNT_DELETION_INTERVAL_MS) || 60 * 60 * 1000; // 1 hour
+
+// Cloudinary accepts at most 100 public IDs per bulk delete
+const CLOUDINARY_BATCH_SIZE = 100;
+
+// Shown to the other party wherever the deleted user is referenced (orders, chats)
+const DELETED_USER_NAME = 'Deleted User';
+
+/**
+ * Collect the Cloudinary public IDs of every image uploaded by a user
+ * @param {Object} user - User document
+ * @returns {Promise<string[]>} - Public IDs
+ */
+const collectImagePublicIds = async (user) => {
+  const publicIds = [];
+
+  // Avatar (skip the default image and external ones such as Google photos)
+  if (
+    user.avatar &&
+    user.avatar.includes('res.cloudinary.com') &&
+    !user.avatar.includes('avatar-default')
+  ) {
+    publicIds.push(getPublicIdFromUrl(user.avatar));
+  }
+
+  const listings = await Listing.find({ seller: user._id }).select('images.publicId').lean();
+  listings.forEach((listing) => {
+    listing.images.forEach((image) => publicIds.push(image.publicId));
+  });
+
+  // Images the user sent in chats
+  const messages = await Message.find({ sender: user._id, 'image.publicId': { $exists: true } })
+    .select('image.publicId')
+    .lean();
+  messages.forEach((message) => publicIds.push(message.image.publicId));
+
+  return [...new Set(publicIds)];
+};
+
+/**
+ * Permanently anonymize an account whose deletion grace period has ended
+ * @param {ObjectId|string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export const anonymizeUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || !user.isDeletionDue()) return;
+
+  // Remove images first - once the profile is anonymized we can't find them again
+  const publicIds = await collectImagePublicIds(user);
+  for (let i = 0; i < publicIds.length; i += CLOUDINARY_BATCH_SIZE) {
+    await deleteMultipleFromCloudinary(publicIds.slice(i, i + CLOUDINARY_BATCH_SIZE));
+  }
+
+  // Listings stay referenced by orders, so they're hidden rather than deleted
+  await Listing.updateMany(
+    { seller: user._id, status: { $nin: ['sold', 'removed'] } },
+    { status: 'inactive' }
+  );
+
+  await Session.revokeAllForUser(user._id, 'account-deleted');
+  await LoginEvent.deleteMany({ user: user._id });
+
+  // Export archives hold a full copy of the user's data
+  await deleteUserDataExports(user._id);
+
+  // Orders and chats keep their references - they now resolve to the placeholder profile
+  // (only while the deletion is still due, in case it was cancelled during this run)
+  await User.updateOne(
+    { _id: user._id, deletionScheduledFor: { $lte: new Date() }, deletedAt: { $exists: false } },
+    {
+      $set: {
+        name: DELETED_USER_NAME,
+        email: `deleted-${user._id}@deleted.invalid`,
+        avatar: User.schema.path('avatar').defaultValue,
+        isActive: false,
+        savedListings: [],
+        deletedAt: new Date(),
+      },
+      $unset: {
+        password: 1,
+        phone: 1,
+        bio: 1,
+        googleId: 1,
+        university: 1,
+        campus: 1,
+        emailVerificationToken: 1,
+        emailVerificationSentAt: 1,
+        passwordResetToken: 1,
+        passwordResetExpires: 1,
+        twoFactor: 1,
+        lockUntil: 1,
+      },
+      $inc: { tokenVersion: 1 },
+    }
+  );
+};
+
+/**
+ * Anonymize every account whose deletion grace period has ended
+ * @returns {Promise<number>} - Number of accounts processed
+ */
+export const processDueAccountDeletions = async () => {
+  const due = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+    deletedAt: { $exists: false },
+  }).select('_id');
+
+  for (const { _id } of due) {
+    try {
+      await anonymizeUser(_id);
+    } catch (error) {
+      // Left scheduled - retried on the next run
+      console.error(`Account deletion ${_id} failed:`, error);
+    }
+  }
+
+  return due.length;
+};
+
+/**
+ * Run the account deletion job now and then periodically
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+export const startAccountDeletionJob = () => {
+  const run = () =>
+    processDueAccountDeletions().catch((error) =>
+      console.error('Account deletion job crashed:', error)
+    );
+
+  run();
+  const interval = setInterval(run, getDeletionJobInterval());
+  interval.unref();
+  return interval;
+};
+
+export default {
+  anonymizeUser,
+  processDueAccountDeletions,
+  startAccountDeletionJob,
+};
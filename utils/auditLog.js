@@ -0,0 +1,42 @@
+import AdminAuditLog from '../models/AdminAuditLog.model.js';
+
+/**
+ * Record an admin action in the audit log
+ * @param {Object} req - Express request of the acting admin
+ * @param {Object} entry - { action, targetType, targetId, details }
+ * @returns {Promise<Object>} - Created audit log entry
+ */
+export const recordAdminAction = (req, { action, targetType, targetId, details }) =>
+  AdminAuditLog.create({
+    admin: req.user._id,
+    action,
+    targetType,
+    targetId,
+    details,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+/**
+ * Record the same admin action on many targets (bulk actions)
+ * @param {Object} req - Express request of the acting admin
+ * @param {Object} entry - { action, targetType, targetIds, details }
+ * @returns {Promise<Object[]>} - Created audit log entries
+ */
+export const recordAdminActions = (req, { action, targetType, targetIds, details }) =>
+  AdminAuditLog.insertMany(
+    targetIds.map((targetId) => ({
+      admin: req.user._id,
+      action,
+      targetType,
+      targetId,
+      details,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    }))
+  );
+
+export default {
+  recordAdminAction,
+  recordAdminActions,
+};
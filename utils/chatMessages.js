@@ -0,0 +1,121 @@
+import Chat, { getOfferTtlMs } from '../models/Chat.model.js';
+import Message from '../models/Message.model.js';
+import Listing from '../models/Listing.model.js';
+import { AppError } from '../middleware/error.middleware.js';
+
+const DUPLICATE_KEY = 11000;
+
+// Find a message the sender already stored under a client message id
+const findResent = (chatId, senderId, clientMessageId) =>
+  Message.findOne({ chat: chatId, sender: senderId, clientMessageId }).populate(
+    'sender',
+    'name avatar'
+  );
+
+/**
+ * Send a message in a chat (POST /api/chat/:id/messages and the send-message socket event)
+ * @param {ObjectId|string} chatId - Chat ID
+ * @param {Object} sender - Authenticated user
+ * @param {Object} data - Validated message body { content, type, image, offer, clientMessageId }
+ * @param {Object} emitter - Socket.IO server, or the sender's socket (which is left out of delivery)
+ * @returns {Promise<{ message: Object, duplicate: boolean }>} - duplicate is true for a resend
+ * @throws {AppError} - If the chat can't be found or the sender can't post in it
+ */
+export const postChatMessage = async (chatId, sender, data, emitter) => {
+  const { content, type = 'text', image, offer, clientMessageId } = data;
+
+  const chat = await Chat.findById(chatId);
+
+  if (!chat) {
+    throw new AppError('Chat not found', 404);
+  }
+
+  // Check if user is participant
+  if (!chat.isParticipant(sender._id)) {
+    throw new AppError('Not authorized to send messages in this chat', 403);
+  }
+
+  // A resend after a reconnect gets the stored message back
+  if (clientMessageId) {
+    const resent = await findResent(chat._id, sender._id, clientMessageId);
+    if (resent) return { message: resent, duplicate: true };
+  }
+
+  // Check if chat is blocked
+  if (chat.isBlockedBy(sender._id)) {
+    throw new AppError('You have blocked this chat', 403);
+  }
+
+  // Get recipient
+  const recipient = chat.participants.find(
+    (p) => p.toString() !== sender._id.toString()
+  );
+
+  if (chat.isBlockedBy(recipient)) {
+    throw new AppError('You cannot send messages to this user', 403);
+  }
+
+  // Buyers make offers, sellers answer them (and can counter)
+  if (type === 'offer') {
+    const listing = await Listing.findById(chat.listing).select('seller status');
+
+    if (!listing || listing.status !== 'active') {
+      throw new AppError('This listing is no longer available', 400);
+    }
+
+    if (listing.seller.toString() === sender._id.toString()) {
+      throw new AppError('Sellers can only counter an offer', 403);
+    }
+  }
+
+  // Create message object
+  const message = {
+    chat: chat._id,
+    sender: sender._id,
+    content,
+    type,
+    clientMessageId,
+  };
+
+  if (type === 'image' && image) {
+    message.image = image;
+  }
+
+  if (type === 'offer' && offer) {
+    message.offer = {
+      amount: offer.amount,
+      status: 'pending',
+      expiresAt: new Date(Date.now() + getOfferTtlMs()),
+    };
+  }
+
+  let newMessage;
+  try {
+    newMessage = await Message.create(message);
+  } catch (error) {
+    // The same resend arrived twice at once - the other one stored it
+    if (error.code === DUPLICATE_KEY && clientMessageId) {
+      const resent = await findResent(chat._id, sender._id, clientMessageId);
+      if (resent) return { message: resent, duplicate: true };
+    }
+    throw error;
+  }
+
+  // Update last message and the recipient's unread count
+  await chat.recordMessage(newMessage, recipient);
+
+  // Populate sender info for response
+  await newMessage.populate('sender', 'name avatar');
+
+  // Deliver to the recipient and to everyone in the chat room (each socket once)
+  emitter.to([recipient.toString(), chat._id.toString()]).emit('new-message', {
+    chatId: chat._id,
+    message: newMessage,
+  });
+
+  return { message: newMessage, duplicate: false };
+};
+
+export default {
+  postChatMessage,
+};
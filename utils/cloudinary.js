@@ -123,6 +123,17 @@ export const deleteMultipleFromCloudinary = async (publicIds) => {
   }
 };
 
+/**
+ * Extract the public ID from a Cloudinary image URL
+ * @param {string} url - Cloudinary secure URL
+ * @returns {string} - Public ID (folder/name without extension)
+ */
+export const getPublicIdFromUrl = (url) => {
+  const urlParts = url.split('/');
+  const publicIdWithExt = urlParts.slice(-2).join('/');
+  return publicIdWithExt.split('.')[0];
+};
+
 /**
  * Upload avatar image (optimized for profiles)
  * @param {Buffer} fileBuffer - File buffer from multer
@@ -197,6 +208,7 @@ export default {
   uploadMultipleToCloudinary,
   deleteFromCloudinary,
   deleteMultipleFromCloudinary,
+  getPublicIdFromUrl,
   uploadAvatar,
   getOptimizedUrl,
   getThumbnailUrl,
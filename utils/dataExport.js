@@ -0,0 +1,325 @@
+import fs from 'fs';
+import mongoose from 'mongoose';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import { ZipArchive } from 'archiver';
+import DataExport from '../models/DataExport.model.js';
+import User from '../models/User.model.js';
+import Listing from '../models/Listing.model.js';
+import Order from '../models/Order.model.js';
+import Chat from '../models/Chat.model.js';
+import Message from '../models/Message.model.js';
+import Review from '../models/Review.model.js';
+
+// How long a finished archive can be downloaded
+const EXPORT_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// An export still processing after this long is assumed to have died with its instance
+const STALE_EXPORT_MS = 60 * 60 * 1000; // 1 hour
+
+// GridFS bucket holding finished archives, so any instance can serve a download
+const EXPORT_BUCKET = 'dataExports';
+
+// Scratch space for the files that go into an archive (local to each instance)
+const getExportDir = () => process.env.DATA_EXPORT_DIR || 'tmp/exports';
+
+// How often the job picks up queued exports and removes expired archives
+// (read when the job starts, after .env has been loaded)
+const getDataExportJobInterval = () =>
+  Number(process.env.DATA_EXPORT_INTERVAL_MS) || 5 * 60 * 1000; // 5 minutes
+
+const getBucket = () =>
+  new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: EXPORT_BUCKET });
+
+/**
+ * Delete a stored archive (missing archives are ignored)
+ * @param {ObjectId} fileId - GridFS file ID
+ * @returns {Promise<void>}
+ */
+const deleteArchive = async (fileId) => {
+  try {
+    await getBucket().delete(fileId);
+  } catch (error) {
+    if (!error.message?.startsWith('File not found')) throw error;
+  }
+};
+
+/**
+ * Open a finished archive for download
+ * @param {ObjectId} fileId - GridFS file ID (DataExport fileId)
+ * @returns {Object} - Readable stream, emits an error if the archive is gone
+ */
+export const openDataExportArchive = (fileId) => getBucket().openDownloadStream(fileId);
+
+/**
+ * Stream documents from a cursor into a JSON array file
+ * @param {string} filePath - Output file
+ * @param {Object} cursor - Mongoose query cursor
+ * @param {Function} transform - Maps each document to the exported object (null to skip)
+ * @returns {Promise<void>}
+ */
+const writeJsonArray = async (filePath, cursor, transform = (doc) => doc) => {
+  const stream = fs.createWriteStream(filePath);
+  let first = true;
+
+  stream.write('[\n');
+  for await (const doc of cursor) {
+    const data = transform(doc);
+    if (!data) continue;
+
+    const chunk = `${first ? '' : ',\n'}${JSON.stringify(data, null, 2)}`;
+    first = false;
+
+    // Respect backpressure - large chats shouldn't be buffered in memory
+    if (!stream.write(chunk)) {
+      await once(stream, 'drain');
+    }
+  }
+  stream.end('\n]\n');
+
+  await finished(stream);
+};
+
+/**
+ * Write every collection holding the user's data into a directory
+ * @param {ObjectId} userId - User ID
+ * @param {string} dir - Output directory
+ * @returns {Promise<void>}
+ */
+const writeUserData = async (userId, dir) => {
+  const user = await User.findById(userId).lean();
+
+  // Profile (secrets are select: false and never loaded)
+  const { savedListings = [], ...profile } = user;
+  await fsPromises.writeFile(
+    path.join(dir, 'profile.json'),
+    JSON.stringify(profile, null, 2)
+  );
+
+  // Listings
+  await writeJsonArray(
+    path.join(dir, 'listings.json'),
+    Listing.find({ seller: userId }).lean().cursor()
+  );
+
+  // Orders (timelines and ratings are part of the order document, unpublished
+  // ratings from the other party stay hidden)
+  await writeJsonArray(
+    path.join(dir, 'orders.json'),
+    Order.find({ $or: [{ buyer: userId }, { seller: userId }] })
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor(),
+    (order) => ({
+      role: order.buyer.equals(userId) ? 'buyer' : 'seller',
+      ...Order.hideUnpublishedRating(order, userId),
+    })
+  );
+
+  // Reviews written by the user (reviews received are the reviewers' data)
+  await writeJsonArray(
+    path.join(dir, 'reviews.json'),
+    Review.find({ reviewer: userId }).select('-moderation').sort({ createdAt: 1 }).lean().cursor()
+  );
+
+  // Chats the user took part in
+  await writeJsonArray(
+    path.join(dir, 'chats.json'),
+    Chat.find({ participants: userId })
+      .select('listing participants createdAt')
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor()
+  );
+
+  // Only the messages this user sent (the other party's messages are their data)
+  await writeJsonArray(
+    path.join(dir, 'messages.json'),
+    Message.find({ sender: userId }).sort({ chat: 1, createdAt: 1 }).lean().cursor()
+  );
+
+  // Saved listings
+  await writeJsonArray(
+    path.join(dir, 'saved-listings.json'),
+    Listing.find({ _id: { $in: savedListings } })
+      .select('title price category condition status seller createdAt')
+      .lean()
+      .cursor()
+  );
+};
+
+/**
+ * Zip a directory into a stream
+ * @param {string} sourceDir - Directory to archive
+ * @param {Object} output - Writable stream receiving the zip
+ * @returns {Promise<void>}
+ */
+const zipDirectory = async (sourceDir, output) => {
+  const archive = new ZipArchive({ zlib: { level: 9 } });
+
+  const done = finished(output);
+  archive.on('error', (error) => output.destroy(error));
+  archive.pipe(output);
+  archive.directory(sourceDir, false);
+  await archive.finalize();
+  await done;
+};
+
+/**
+ * Generate the archive for a data export job, if no other instance has claimed it
+ * @param {ObjectId|string} exportId - DataExport ID
+ * @returns {Promise<void>}
+ */
+export const processDataExport = async (exportId) => {
+  const startedAt = new Date();
+
+  // Claim the job atomically - every instance may try to pick it up
+  const job = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'queued' },
+    { $set: { status: 'processing', startedAt }, $unset: { error: 1 } },
+    { new: true }
+  );
+  if (!job) return;
+
+  // Updates only apply while this run still owns the job (see requeueStaleDataExports)
+  const owned = { _id: job._id, status: 'processing', startedAt };
+  const workDir = path.join(getExportDir(), job._id.toString());
+  const upload = getBucket().openUploadStream(`${job._id}.zip`, {
+    contentType: 'application/zip',
+    metadata: { user: job.user },
+  });
+
+  try {
+    await fsPromises.mkdir(workDir, { recursive: true });
+    await writeUserData(job.user, workDir);
+    await zipDirectory(workDir, upload);
+
+    const { modifiedCount } = await DataExport.updateOne(owned, {
+      $set: {
+        status: 'completed',
+        fileId: upload.id,
+        fileSize: upload.length,
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + EXPORT_TTL_MS),
+      },
+    });
+
+    // Another run took over the job - its archive is the one kept
+    if (modifiedCount === 0) {
+      await deleteArchive(upload.id);
+    }
+  } catch (error) {
+    console.error(`Data export ${job._id} failed:`, error);
+    await DataExport.updateOne(owned, {
+      $set: {
+        status: 'failed',
+        error: 'Export generation failed. Please request a new export.',
+      },
+    }).catch(() => {});
+    await deleteArchive(upload.id).catch(() => {});
+  } finally {
+    await fsPromises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Queue an export for background processing (does not wait for it)
+ * @param {ObjectId|string} exportId - DataExport ID
+ */
+export const queueDataExport = (exportId) => {
+  setImmediate(() => {
+    processDataExport(exportId).catch((error) =>
+      console.error(`Data export ${exportId} crashed:`, error)
+    );
+  });
+};
+
+/**
+ * Put exports whose instance died mid-generation back in the queue
+ * @returns {Promise<number>} - Number of exports requeued
+ */
+export const requeueStaleDataExports = async () => {
+  const { modifiedCount } = await DataExport.updateMany(
+    { status: 'processing', startedAt: { $lte: new Date(Date.now() - STALE_EXPORT_MS) } },
+    { $set: { status: 'queued' } }
+  );
+  return modifiedCount;
+};
+
+/**
+ * Remove the archives of exports whose download link has expired
+ * @returns {Promise<number>} - Number of archives removed
+ */
+export const removeExpiredDataExports = async () => {
+  const expired = await DataExport.find({
+    status: 'completed',
+    expiresAt: { $lte: new Date() },
+    fileId: { $exists: true },
+  }).select('+fileId');
+
+  for (const job of expired) {
+    await deleteArchive(job.fileId);
+    job.fileId = undefined;
+    await job.save();
+  }
+
+  return expired.length;
+};
+
+/**
+ * Delete every data export of a user, with its archive (account deletion)
+ * @param {ObjectId|string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export const deleteUserDataExports = async (userId) => {
+  const jobs = await DataExport.find({ user: userId }).select('+fileId');
+
+  for (const job of jobs) {
+    if (job.fileId) await deleteArchive(job.fileId);
+  }
+
+  await DataExport.deleteMany({ user: userId });
+};
+
+/**
+ * Requeue stale exports, generate every queued one and remove expired archives
+ * @returns {Promise<void>}
+ */
+export const resumeDataExports = async () => {
+  await requeueStaleDataExports();
+
+  // Exports queued by an instance that stopped before generating them
+  const queued = await DataExport.find({ status: 'queued' }).select('_id');
+  for (const job of queued) {
+    await processDataExport(job._id);
+  }
+
+  await removeExpiredDataExports();
+};
+
+/**
+ * Run the data export job now and then periodically
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+export const startDataExportJob = () => {
+  const run = () =>
+    resumeDataExports().catch((error) => console.error('Data export job crashed:', error));
+
+  run();
+  const interval = setInterval(run, getDataExportJobInterval());
+  interval.unref();
+  return interval;
+};
+
+export default {
+  openDataExportArchive,
+  processDataExport,
+  queueDataExport,
+  requeueStaleDataExports,
+  removeExpiredDataExports,
+  deleteUserDataExports,
+  resumeDataExports,
+  startDataExportJob,
+};
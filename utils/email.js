@@ -0,0 +1,249 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { AppError } from '../middleware/error.middleware.js';
+
+// Console transport - prints emails to stdout (local development)
+const consoleTransport = {
+  send: async (mail) => {
+    console.log('📧 Email (console transport)');
+    console.log(`   To: ${mail.to}`);
+    console.log(`   Subject: ${mail.subject}`);
+    console.log(`   ${mail.text.split('\n').join('\n   ')}`);
+  },
+};
+
+// File transport - writes each email as a JSON file (local development and tests)
+const fileTransport = {
+  send: async (mail) => {
+    const dir = process.env.MAIL_FILE_DIR || 'tmp/mail';
+    await fs.mkdir(dir, { recursive: true });
+
+    const safeRecipient = mail.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const fileName = `${Date.now()}-${safeRecipient}.json`;
+
+    await fs.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...mail, sentAt: new Date().toISOString() }, null, 2)
+    );
+  },
+};
+
+// SMTP transport - nodemailer is loaded lazily so dev/test setups don't need SMTP config
+let smtpClient;
+const smtpTransport = {
+  send: async (mail) => {
+    if (!smtpClient) {
+      const { default: nodemailer } = await import('nodemailer');
+      smtpClient = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+        },
+      });
+    }
+
+    await smtpClient.sendMail({
+      from: process.env.MAIL_FROM || 'Elevator Pitch <no-reply@elevatorpitch.app>',
+      ...mail,
+    });
+  },
+};
+
+// Escape user-provided values before interpolating them into HTML emails
+const escapeHtml = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport,
+};
+
+/**
+ * Register a custom mail transport
+ * @param {string} name - Transport name (selected with MAIL_TRANSPORT)
+ * @param {Object} transport - Object exposing an async send(mail) method
+ */
+export const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(mail)');
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Get the configured mail transport
+ * @returns {Object} - Transport with a send(mail) method
+ */
+export const getTransport = () => {
+  const name =
+    process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+  const transport = transports[name];
+  if (!transport) {
+    throw new AppError(`Unknown mail transport: ${name}`, 500);
+  }
+  return transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} mail - { to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+export const sendEmail = async ({ to, subject, text, html }) => {
+  try {
+    await getTransport().send({ to, subject, text, html });
+  } catch (error) {
+    console.error('Email send error:', error);
+    throw new AppError('Failed to send email', 500);
+  }
+};
+
+/**
+ * Send the account verification email
+ * @param {Object} user - User document
+ * @param {string} token - Signed verification token
+ * @returns {Promise<void>}
+ */
+export const sendVerificationEmail = (user, token) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  const verifyUrl = `${clientUrl}/verify-email/${token}`;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Verify your Elevator Pitch account',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      verifyUrl,
+      '',
+      'If you did not create an account, you can ignore this email.',
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>Please confirm your email address by clicking the link below:</p>
+      <p><a href="${verifyUrl}">Verify my email</a></p>
+      <p>If you did not create an account, you can ignore this email.</p>
+    `,
+  });
+};
+
+/**
+ * Send the password reset email
+ * @param {Object} user - User document
+ * @param {string} token - Raw password reset token
+ * @returns {Promise<void>}
+ */
+export const sendPasswordResetEmail = (user, token) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  const resetUrl = `${clientUrl}/reset-password/${token}`;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Reset your Elevator Pitch password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      resetUrl,
+      '',
+      'This link expires in 30 minutes and can only be used once.',
+      'If you did not request a password reset, you can ignore this email.',
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>We received a request to reset your password. Click the link below to choose a new one:</p>
+      <p><a href="${resetUrl}">Reset my password</a></p>
+      <p>This link expires in 30 minutes and can only be used once.</p>
+      <p>If you did not request a password reset, you can ignore this email.</p>
+    `,
+  });
+};
+
+/**
+ * Send an alert about a sign-in from an unfamiliar device
+ * @param {Object} user - User document
+ * @param {Object} details - { ip, userAgent, time }
+ * @returns {Promise<void>}
+ */
+export const sendNewLoginAlertEmail = (user, { ip, userAgent, time }) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  const securityUrl = `${clientUrl}/settings/security`;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'New sign-in to your Elevator Pitch account',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Your account was just signed in to from a new device:',
+      `Time: ${time.toUTCString()}`,
+      `IP address: ${ip}`,
+      `Device: ${userAgent || 'Unknown'}`,
+      '',
+      `If this wasn't you, change your password and log out other devices at ${securityUrl}`,
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>Your account was just signed in to from a new device:</p>
+      <ul>
+        <li>Time: ${escapeHtml(time.toUTCString())}</li>
+        <li>IP address: ${escapeHtml(ip)}</li>
+        <li>Device: ${escapeHtml(userAgent || 'Unknown')}</li>
+      </ul>
+      <p>If this wasn't you, <a href="${securityUrl}">change your password and log out other devices</a>.</p>
+    `,
+  });
+};
+
+/**
+ * Send confirmation that an account has been scheduled for deletion
+ * @param {Object} user - User document
+ * @param {Date} scheduledFor - When the account will be anonymized
+ * @returns {Promise<void>}
+ */
+export const sendAccountDeletionScheduledEmail = (user, scheduledFor) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  const loginUrl = `${clientUrl}/login`;
+  const date = scheduledFor.toUTCString();
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Your Elevator Pitch account will be deleted',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Your account is scheduled for deletion on ${date}.`,
+      'After that date your profile, listings and images are removed permanently.',
+      '',
+      `Changed your mind? Log in before then to cancel: ${loginUrl}`,
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>Your account is scheduled for deletion on ${escapeHtml(date)}.</p>
+      <p>After that date your profile, listings and images are removed permanently.</p>
+      <p>Changed your mind? <a href="${loginUrl}">Log in</a> before then to cancel.</p>
+    `,
+  });
+};
+
+export default {
+  registerTransport,
+  getTransport,
+  sendEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendNewLoginAlertEmail,
+  sendAccountDeletionScheduledEmail,
+};
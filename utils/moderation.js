@@ -0,0 +1,47 @@
+import Listing from '../models/Listing.model.js';
+import Session from '../models/Session.model.js';
+import { disconnectUserSockets } from './socket.js';
+
+/**
+ * Log a user out everywhere, including open sockets (saves the user)
+ * @param {Object} user - User document
+ * @param {Object} io - Socket.IO server
+ * @returns {Promise<void>}
+ */
+export const revokeAccess = async (user, io) => {
+  user.invalidateTokens();
+  await user.save({ validateBeforeSave: false });
+  await Session.revokeAllForUser(user._id, 'admin-action');
+  await disconnectUserSockets(io, user._id);
+};
+
+/**
+ * Ban a user and take their active listings off the marketplace (undone by restoreUser)
+ * @param {Object} user - User document, not yet banned
+ * @param {string} reason - Ban reason
+ * @param {Object} io - Socket.IO server
+ * @returns {Promise<number>} - Number of listings deactivated
+ */
+export const banAccount = async (user, reason, io) => {
+  // Remembered so a restore puts back exactly these listings
+  const listingIds = await Listing.find({ seller: user._id, status: 'active' }).distinct('_id');
+
+  user.bannedAt = new Date();
+  user.banReason = reason;
+  user.banDeactivatedListings = listingIds;
+  user.suspendedUntil = undefined;
+  user.suspensionReason = undefined;
+  await revokeAccess(user, io);
+
+  const { modifiedCount } = await Listing.updateMany(
+    { _id: { $in: listingIds }, status: 'active' },
+    { status: 'inactive' }
+  );
+
+  return modifiedCount;
+};
+
+export default {
+  revokeAccess,
+  banAccount,
+};
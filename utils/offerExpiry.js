@@ -0,0 +1,52 @@
+import Message from '../models/Message.model.js';
+
+// How often the job looks for offers past their expiry
+// (read when the job starts, after .env has been loaded)
+const getOfferExpiryJobInterval = () =>
+  Number(process.env.OFFER_EXPIRY_INTERVAL_MS) || 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Tell both participants of each chat that some of its offers were closed
+ * @param {Object} io - Socket.IO server
+ * @param {Object[]} closed - [{ chatId, participants, messageIds }]
+ * @param {string} event - Socket event name
+ */
+export const notifyClosedOffers = (io, closed, event) => {
+  closed.forEach(({ chatId, participants, messageIds }) => {
+    participants.forEach((participant) => {
+      io.to(participant.toString()).emit(event, { chatId, messageIds });
+    });
+  });
+};
+
+/**
+ * Expire every pending offer past its expiry and notify the chats
+ * @param {Object} io - Socket.IO server
+ * @returns {Promise<number>} - Number of chats with expired offers
+ */
+export const expireOffers = async (io) => {
+  const expired = await Message.expireDueOffers();
+  notifyClosedOffers(io, expired, 'offer-expired');
+  return expired.length;
+};
+
+/**
+ * Run the offer expiry job now and then periodically
+ * @param {Object} io - Socket.IO server
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+export const startOfferExpiryJob = (io) => {
+  const run = () =>
+    expireOffers(io).catch((error) => console.error('Offer expiry job crashed:', error));
+
+  run();
+  const interval = setInterval(run, getOfferExpiryJobInterval());
+  interval.unref();
+  return interval;
+};
+
+export default {
+  notifyClosedOffers,
+  expireOffers,
+  startOfferExpiryJob,
+};
@@ -0,0 +1,137 @@
+import passport from 'passport';
+import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
+import User from '../models/User.model.js';
+import University from '../models/University.model.js';
+
+/**
+ * Check whether Google OAuth credentials are configured
+ * @returns {boolean}
+ */
+export const isGoogleAuthConfigured = () =>
+  Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET);
+
+/**
+ * Find or create the user for a Google profile
+ * @param {Object} profile - Google profile from passport-google-oauth20
+ * @returns {Promise<Object>} - { user } on success or { message } on failure
+ */
+export const findOrCreateGoogleUser = async (profile) => {
+  // Returning Google user
+  let user = await User.findOne({ googleId: profile.id });
+
+  if (user) {
+    const restriction = user.getAccessRestriction();
+    if (restriction) {
+      return { message: restriction };
+    }
+
+    // Accounts pending deletion can sign in to cancel it
+    if (!user.isActive && !user.isPendingDeletion()) {
+      return { message: 'Your account has been deactivated. Please contact support.' };
+    }
+    return { user };
+  }
+
+  const primaryEmail = profile.emails?.[0];
+  const emailVerified =
+    primaryEmail?.verified === true || profile._json?.email_verified === true;
+
+  if (!primaryEmail?.value || !emailVerified) {
+    return { message: 'Your Google account must have a verified email address' };
+  }
+
+  const email = primaryEmail.value.toLowerCase();
+
+  // Existing account with the same email - link it
+  user = await User.findOne({ email });
+
+  if (user) {
+    const restriction = user.getAccessRestriction();
+    if (restriction) {
+      return { message: restriction };
+    }
+
+    // Accounts pending deletion can sign in to cancel it
+    if (!user.isActive && !user.isPendingDeletion()) {
+      return { message: 'Your account has been deactivated. Please contact support.' };
+    }
+
+    // Only link local accounts whose owner has proven control of the inbox,
+    // otherwise someone who registered the address first would share the account
+    if (user.authProvider === 'local' && !user.isVerified) {
+      return {
+        message:
+          'An account with this email already exists. Log in with your password and verify your email before using Google sign-in.',
+      };
+    }
+
+    if (user.googleId && user.googleId !== profile.id) {
+      return { message: 'This account is linked to a different Google account' };
+    }
+
+    // Keep authProvider as-is so password login keeps working for local accounts
+    user.googleId = profile.id;
+    await user.save({ validateBeforeSave: false });
+
+    return { user };
+  }
+
+  // New user - same university email rule as local registration
+  const institution = await University.resolveForEmail(email);
+  if (institution.error) {
+    return { message: 'Please sign in with your university Google account' };
+  }
+
+  const name = (profile.displayName || email.split('@')[0]).trim().substring(0, 50);
+
+  user = await User.create({
+    name: name.length >= 2 ? name : email.split('@')[0],
+    email,
+    googleId: profile.id,
+    avatar: profile.photos?.[0]?.value,
+    university: institution.university,
+    campus: institution.campus,
+    authProvider: 'google',
+    isVerified: true,
+  });
+
+  return { user };
+};
+
+/**
+ * Register passport strategies (call after environment variables are loaded)
+ * @returns {Object} - Configured passport instance
+ */
+export const configurePassport = () => {
+  if (!isGoogleAuthConfigured()) {
+    console.warn('⚠️  Google OAuth credentials not set - Google sign-in disabled');
+    return passport;
+  }
+
+  passport.use(
+    new GoogleStrategy(
+      {
+        clientID: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+        callbackURL:
+          process.env.GOOGLE_CALLBACK_URL ||
+          'http://localhost:5000/api/auth/google/callback',
+      },
+      async (accessToken, refreshToken, profile, done) => {
+        try {
+          const { user, message } = await findOrCreateGoogleUser(profile);
+          if (!user) {
+            return done(null, false, { message });
+          }
+          done(null, user);
+        } catch (error) {
+          done(error);
+        }
+      }
+    )
+  );
+
+  return passport;
+};
+
+export default passport;
@@ -0,0 +1,203 @@
+import User from '../models/User.model.js';
+import Chat from '../models/Chat.model.js';
+import { usesRedis, getRedisClient } from './redis.js';
+
+// Minimum time between lastActive writes for one user
+// (read on use, after .env has been loaded)
+const getLastActiveThrottle = () =>
+  Number(process.env.LAST_ACTIVE_THROTTLE_MS) || 60 * 1000; // 1 minute
+
+// userId -> time of the last lastActive write from this server
+const lastActiveWrites = new Map();
+
+// userId -> open sockets, so only the first tab announces "online" and the last one "offline"
+// (kept in Redis instead when sockets span instances, SOCKET_ADAPTER=redis)
+const connectionCounts = new Map();
+
+// A Redis counter expires unless one of the user's sockets keeps refreshing it,
+// so counts left behind by a crashed instance don't keep the user online
+const PRESENCE_TTL_SECONDS = 15 * 60; // 15 minutes
+const PRESENCE_REFRESH_MS = 5 * 60 * 1000; // 5 minutes
+
+const presenceKey = (userId) => `presence:${userId}`;
+
+// Count a socket and refresh the counter's expiry in one step
+const CONNECT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+redis.call('EXPIRE', KEYS[1], ARGV[1])
+return count`;
+
+// Uncount a socket, removing the counter once the last one is gone
+const DISCONNECT_SCRIPT = `
+local count = redis.call('DECR', KEYS[1])
+if count <= 0 then redis.call('DEL', KEYS[1]) end
+return count`;
+
+/**
+ * Atomically add or remove one of a user's open sockets
+ * @param {ObjectId|string} userId - User ID
+ * @param {number} change - 1 for a new socket, -1 for a closed one
+ * @returns {Promise<number>} - Open sockets after the change (0 or less means offline)
+ */
+const countConnection = async (userId, change) => {
+  const key = userId.toString();
+
+  if (!usesRedis('SOCKET_ADAPTER')) {
+    const count = (connectionCounts.get(key) || 0) + change;
+    if (count > 0) {
+      connectionCounts.set(key, count);
+    } else {
+      connectionCounts.delete(key);
+    }
+    return count;
+  }
+
+  return getRedisClient().eval(change > 0 ? CONNECT_SCRIPT : DISCONNECT_SCRIPT, {
+    keys: [presenceKey(key)],
+    arguments: [String(PRESENCE_TTL_SECONDS)],
+  });
+};
+
+/**
+ * Record activity for a user, writing lastActive at most once per throttle window
+ * @param {ObjectId|string} userId - User ID
+ * @param {Object} options - { force: write even inside the throttle window }
+ * @returns {Promise<void>}
+ */
+export const touchLastActive = async (userId, { force = false } = {}) => {
+  const key = userId.toString();
+  const now = Date.now();
+
+  if (!force && now - (lastActiveWrites.get(key) || 0) < getLastActiveThrottle()) return;
+  lastActiveWrites.set(key, now);
+
+  await User.updateOne({ _id: userId }, { $set: { lastActive: new Date(now) } }, { timestamps: false });
+};
+
+/**
+ * Find which of the given users have at least one connected socket (any tab, any server)
+ * @param {Array<ObjectId|string>} userIds - Users to check
+ * @returns {Promise<Set<string>>} - IDs of the online users
+ */
+export const getOnlineUserIds = async (userIds) => {
+  const ids = userIds.map(String);
+  if (ids.length === 0) return new Set();
+
+  if (!usesRedis('SOCKET_ADAPTER')) {
+    return new Set(ids.filter((id) => connectionCounts.has(id)));
+  }
+
+  // One round trip for the whole batch
+  const counts = await getRedisClient().mGet(ids.map(presenceKey));
+  return new Set(ids.filter((id, i) => Number(counts[i]) > 0));
+};
+
+/**
+ * Check if a user has at least one connected socket (any tab, any server)
+ * @param {ObjectId|string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+export const isUserOnline = async (userId) =>
+  (await getOnlineUserIds([userId])).has(userId.toString());
+
+/**
+ * Tell a user's chat counterparties that they came online or went offline
+ * @param {Object} io - Socket.IO server
+ * @param {ObjectId|string} userId - User ID
+ * @param {boolean} online - New status
+ * @param {Object} options - { ignorePrivacy: announce even if the user hides their status }
+ * @returns {Promise<void>}
+ */
+export const announcePresence = async (io, userId, online, { ignorePrivacy = false } = {}) => {
+  const user = await User.findById(userId).select('lastActive privacy');
+  if (!user || (!ignorePrivacy && !user.isOnlineStatusVisible())) return;
+
+  const counterparties = await Chat.findCounterparties(user._id);
+  if (counterparties.length === 0) return;
+
+  io.to(counterparties.map((id) => id.toString())).emit('presence', {
+    userId: user._id,
+    online,
+    lastActive: user.isOnlineStatusVisible() ? user.lastActive : undefined,
+  });
+};
+
+/**
+ * Get the online status of chat counterparties (users hiding their status are left out)
+ * @param {ObjectId|string} viewerId - User asking
+ * @param {string[]} userIds - Users to look up
+ * @returns {Promise<Object[]>} - [{ userId, online, lastActive }]
+ */
+export const getPresence = async (viewerId, userIds) => {
+  const counterparties = new Set(
+    (await Chat.findCounterparties(viewerId)).map((id) => id.toString())
+  );
+  const ids = [...new Set(userIds.map(String))].filter((id) => counterparties.has(id));
+
+  const users = (await User.find({ _id: { $in: ids } }).select('lastActive privacy')).filter(
+    (user) => user.isOnlineStatusVisible()
+  );
+  const online = await getOnlineUserIds(users.map((user) => user._id));
+
+  return users.map((user) => ({
+    userId: user._id,
+    online: online.has(user._id.toString()),
+    lastActive: user.lastActive,
+  }));
+};
+
+/**
+ * Track a new socket - the user's first tab brings them online
+ * @param {Object} io - Socket.IO server
+ * @param {Object} socket - Authenticated socket, already in the user's room
+ * @returns {Promise<void>}
+ */
+export const handlePresenceConnect = async (io, socket) => {
+  const userId = socket.user._id;
+
+  // Keep the shared counter alive for as long as this socket is
+  if (usesRedis('SOCKET_ADAPTER')) {
+    socket.presenceRefresh = setInterval(() => {
+      getRedisClient()
+        .expire(presenceKey(userId), PRESENCE_TTL_SECONDS)
+        .catch((error) => console.error(`Presence refresh for ${userId} failed:`, error));
+    }, PRESENCE_REFRESH_MS);
+    socket.presenceRefresh.unref();
+  }
+
+  const count = await countConnection(userId, 1);
+  await touchLastActive(userId, { force: true });
+
+  if (count === 1) {
+    await announcePresence(io, userId, true);
+  }
+};
+
+/**
+ * Track a closed socket - the user's last tab takes them offline
+ * (call once handlePresenceConnect has finished for the socket)
+ * @param {Object} io - Socket.IO server
+ * @param {Object} socket - Disconnected socket
+ * @returns {Promise<void>}
+ */
+export const handlePresenceDisconnect = async (io, socket) => {
+  const userId = socket.user._id;
+  clearInterval(socket.presenceRefresh);
+
+  if ((await countConnection(userId, -1)) > 0) return;
+
+  // Last seen is when the final tab closed
+  await touchLastActive(userId, { force: true });
+  lastActiveWrites.delete(userId.toString());
+  await announcePresence(io, userId, false);
+};
+
+export default {
+  touchLastActive,
+  getOnlineUserIds,
+  isUserOnline,
+  announcePresence,
+  getPresence,
+  handlePresenceConnect,
+  handlePresenceDisconnect,
+};
@@ -0,0 +1,64 @@
+import Order, { RATING_WINDOW_MS } from '../models/Order.model.js';
+
+// How often the job looks for orders whose rating window has closed
+// (read when the job starts, after .env has been loaded)
+const getRatingWindowJobInterval = () =>
+  Number(process.env.RATING_WINDOW_INTERVAL_MS) || 60 * 60 * 1000; // 1 hour
+
+/**
+ * Publish the ratings of every completed order whose rating window has closed
+ * (including ones a dispute later cancelled or refunded)
+ * @returns {Promise<number>} - Number of orders processed
+ */
+export const publishDueRatings = async () => {
+  const now = new Date();
+
+  const due = await Order.find({
+    'rating.publishedAt': { $exists: false },
+    $or: [
+      { status: 'completed', 'rating.windowClosesAt': { $lte: now } },
+      // Orders completed before rating windows existed
+      {
+        status: 'completed',
+        'rating.windowClosesAt': { $exists: false },
+        updatedAt: { $lte: new Date(now.getTime() - RATING_WINDOW_MS) },
+      },
+      // Completed orders a dispute then cancelled or refunded - ratings left before still count
+      {
+        status: { $in: ['cancelled', 'refunded'] },
+        'dispute.status': 'resolved',
+        'rating.windowClosesAt': { $lte: now },
+      },
+    ],
+  }).select('_id');
+
+  for (const order of due) {
+    try {
+      await order.publishRatings();
+    } catch (error) {
+      // Left unpublished - retried on the next run
+      console.error(`Publishing ratings for order ${order._id} failed:`, error);
+    }
+  }
+
+  return due.length;
+};
+
+/**
+ * Run the rating window job now and then periodically
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+export const startRatingWindowJob = () => {
+  const run = () =>
+    publishDueRatings().catch((error) => console.error('Rating window job crashed:', error));
+
+  run();
+  const interval = setInterval(run, getRatingWindowJobInterval());
+  interval.unref();
+  return interval;
+};
+
+export default {
+  publishDueRatings,
+  startRatingWindowJob,
+};
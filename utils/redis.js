@@ -0,0 +1,75 @@
+import { createClient } from 'redis';
+import { createAdapter } from '@socket.io/redis-adapter';
+
+// Shared connection for rate limit counters and Socket.IO publishing
+let client = null;
+let subscriber = null;
+
+/**
+ * Check if a component is configured to use Redis (SOCKET_ADAPTER, RATE_LIMIT_STORE)
+ * @param {string} setting - Env variable name, "memory" (default) or "redis"
+ * @returns {boolean}
+ */
+export const usesRedis = (setting) => {
+  const backend = process.env[setting] || 'memory';
+
+  if (!['memory', 'redis'].includes(backend)) {
+    throw new Error(`${setting} must be "memory" or "redis"`);
+  }
+  return backend === 'redis';
+};
+
+/**
+ * Get the shared Redis client, connecting on first use (commands queue until it is ready)
+ * @returns {Object} - node-redis client
+ */
+export const getRedisClient = () => {
+  if (!client) {
+    if (!process.env.REDIS_URL) {
+      throw new Error('REDIS_URL is required when SOCKET_ADAPTER or RATE_LIMIT_STORE is "redis"');
+    }
+
+    client = createClient({ url: process.env.REDIS_URL });
+    client.on('error', (error) => console.error(`❌ Redis error: ${error.message}`));
+    client.connect().catch(() => {}); // Reported by the error listener, retried by the client
+  }
+
+  return client;
+};
+
+/**
+ * Use the Redis adapter for Socket.IO when SOCKET_ADAPTER=redis, so rooms span every instance
+ * (otherwise the default in-memory adapter is kept)
+ * @param {Object} io - Socket.IO server
+ * @returns {Promise<boolean>} - True if the Redis adapter was installed
+ */
+export const configureSocketAdapter = async (io) => {
+  if (!usesRedis('SOCKET_ADAPTER')) return false;
+
+  const publisher = getRedisClient();
+  subscriber = publisher.duplicate();
+  subscriber.on('error', (error) => console.error(`❌ Redis subscriber error: ${error.message}`));
+  await subscriber.connect();
+
+  io.adapter(createAdapter(publisher, subscriber));
+  return true;
+};
+
+/**
+ * Close the Redis connections, if any were opened
+ * @returns {Promise<void>}
+ */
+export const closeRedis = async () => {
+  await Promise.all(
+    [subscriber, client].filter((connection) => connection?.isOpen).map((connection) => connection.close())
+  );
+  subscriber = null;
+  client = null;
+};
+
+export default {
+  usesRedis,
+  getRedisClient,
+  configureSocketAdapter,
+  closeRedis,
+};
@@ -0,0 +1,194 @@
+import mongoose from 'mongoose';
+import Chat from '../models/Chat.model.js';
+import { sendMessageValidation, runValidation } from '../middleware/validation.middleware.js';
+import { consumeMessageLimit } from '../middleware/rateLimiter.middleware.js';
+import { postChatMessage } from './chatMessages.js';
+import {
+  touchLastActive,
+  getPresence,
+  handlePresenceConnect,
+  handlePresenceDisconnect,
+} from './presence.js';
+
+// Most users a single get-presence request can ask about
+const MAX_PRESENCE_LOOKUP = 100;
+
+// Clients may emit without an acknowledgement callback
+const getAck = (ack) => (typeof ack === 'function' ? ack : () => {});
+
+/**
+ * Handle a send-message event: validate, rate limit, store and deliver
+ * @param {Object} socket - Sender's socket
+ * @param {Object} payload - { chatId, content, type, image, offer, clientMessageId }
+ * @param {Function} reply - Acknowledgement callback
+ * @returns {Promise<void>}
+ */
+const handleSendMessage = async (socket, payload, reply) => {
+  const { chatId, ...body } = payload || {};
+
+  if (!mongoose.isValidObjectId(chatId)) {
+    return reply({ success: false, message: 'Invalid chat ID' });
+  }
+
+  const { data, errors } = await runValidation(sendMessageValidation, body);
+
+  if (errors) {
+    return reply({ success: false, message: 'Validation failed', errors });
+  }
+
+  if (!(await consumeMessageLimit(socket.user._id))) {
+    return reply({ success: false, message: 'Too many messages sent, please slow down.' });
+  }
+
+  const { message, duplicate } = await postChatMessage(chatId, socket.user, data, socket);
+
+  reply({
+    success: true,
+    data: {
+      messageId: message._id,
+      clientMessageId: message.clientMessageId,
+      duplicate,
+      message,
+    },
+  });
+};
+
+/**
+ * Disconnect a user's open sockets (any server) after their access is revoked - the token is
+ * only checked at the handshake, so sockets would otherwise outlive a logout or ban
+ * @param {Object} io - Socket.IO server (may be unset outside the HTTP server)
+ * @param {ObjectId|string} userId - User ID
+ * @param {Object} options - { sessionId: only this session's sockets, except: keep this session's sockets }
+ * @returns {Promise<void>}
+ */
+export const disconnectUserSockets = async (io, userId, { sessionId, except } = {}) => {
+  if (!io) return;
+
+  const room = io.in(userId.toString());
+
+  if (!sessionId && !except) {
+    room.disconnectSockets(true);
+    return;
+  }
+
+  const sockets = await room.fetchSockets();
+  sockets
+    .filter((socket) =>
+      sessionId
+        ? socket.data.sessionId === String(sessionId)
+        : socket.data.sessionId !== String(except)
+    )
+    .forEach((socket) => socket.disconnect(true));
+};
+
+/**
+ * Register the event handlers for authenticated sockets (see socketProtect)
+ * @param {Object} io - Socket.IO server
+ */
+export const registerSocketHandlers = (io) => {
+  io.on('connection', (socket) => {
+    const userId = socket.user._id.toString();
+    console.log(`User ${userId} connected: ${socket.id}`);
+
+    // Personal room for notifications (new messages, orders, offers)
+    socket.join(userId);
+
+    // Presence - failures are logged, never surfaced to the client
+    const logPresenceError = (error) =>
+      console.error(`Socket ${socket.id} presence error:`, error);
+    const markActive = () => touchLastActive(userId).catch(logPresenceError);
+
+    // Disconnect waits for this, so a socket is never uncounted before it was counted
+    const presenceConnected = handlePresenceConnect(io, socket).catch(logPresenceError);
+
+    // Join chat room (participants only)
+    socket.on('join-chat', async (chatId, ack) => {
+      const reply = getAck(ack);
+
+      try {
+        if (!mongoose.isValidObjectId(chatId)) {
+          return reply({ success: false, message: 'Invalid chat ID' });
+        }
+
+        const chat = await Chat.findById(chatId).select('participants');
+
+        if (!chat || !chat.isParticipant(socket.user._id)) {
+          return reply({ success: false, message: 'Not authorized to access this chat' });
+        }
+
+        socket.join(chat._id.toString());
+        markActive();
+        reply({ success: true });
+      } catch (error) {
+        console.error(`Socket ${socket.id} join-chat error:`, error);
+        reply({ success: false, message: 'Could not join chat' });
+      }
+    });
+
+    socket.on('leave-chat', (chatId) => {
+      socket.leave(String(chatId));
+    });
+
+    // Send a message (same rules as POST /api/chat/:id/messages)
+    socket.on('send-message', async (payload, ack) => {
+      const reply = getAck(ack);
+
+      try {
+        markActive();
+        await handleSendMessage(socket, payload, reply);
+      } catch (error) {
+        if (error.isOperational) {
+          return reply({ success: false, message: error.message });
+        }
+        console.error(`Socket ${socket.id} send-message error:`, error);
+        reply({ success: false, message: 'Could not send message' });
+      }
+    });
+
+    // Online status of chat counterparties
+    socket.on('get-presence', async (userIds, ack) => {
+      const reply = getAck(ack);
+
+      if (
+        !Array.isArray(userIds) ||
+        userIds.length > MAX_PRESENCE_LOOKUP ||
+        !userIds.every((id) => mongoose.isValidObjectId(id))
+      ) {
+        return reply({ success: false, message: 'Provide up to 100 user IDs' });
+      }
+
+      try {
+        reply({ success: true, data: { presence: await getPresence(userId, userIds) } });
+      } catch (error) {
+        logPresenceError(error);
+        reply({ success: false, message: 'Could not load presence' });
+      }
+    });
+
+    // Handle typing indicator (only in chats this socket was allowed to join)
+    socket.on('typing', (payload) => {
+      const chatId = String(payload?.chatId);
+      if (!socket.rooms.has(chatId)) return;
+      markActive();
+      socket.to(chatId).emit('user-typing', { userId });
+    });
+
+    socket.on('stop-typing', (payload) => {
+      const chatId = String(payload?.chatId);
+      if (!socket.rooms.has(chatId)) return;
+      socket.to(chatId).emit('user-stop-typing', { userId });
+    });
+
+    socket.on('disconnect', () => {
+      console.log(`User ${userId} disconnected: ${socket.id}`);
+      presenceConnected
+        .then(() => handlePresenceDisconnect(io, socket))
+        .catch(logPresenceError);
+    });
+  });
+};
+
+export default {
+  disconnectUserSockets,
+  registerSocketHandlers,
+};